@@ -0,0 +1,98 @@
+// --- LEVEL METERING ---
+// dBFS peak/RMS measurement and the peak-hold meter state behind the level bars.
+
+const METER_FLOOR_DB = -60;
+const METER_CLIP_LEVEL = 0.999; // Linear; a sample this hot counts as a clip
+
+/**
+ * Linear amplitude -> dBFS, clamped to the meter floor.
+ */
+function toDb(linear, floor = METER_FLOOR_DB) {
+    if (!(linear > 0)) return floor;
+    return Math.max(floor, 20 * Math.log10(linear));
+}
+
+/**
+ * Peak and RMS (linear) over every channel of one block of samples.
+ * channels: array of Float32Array. Peak is the largest absolute sample,
+ * RMS is taken over all channels together.
+ */
+function measureBlock(channels) {
+    let peak = 0;
+    let sumSquares = 0;
+    let count = 0;
+    channels.forEach(data => {
+        for (let i = 0; i < data.length; i++) {
+            const v = Math.abs(data[i]);
+            if (v > peak) peak = v;
+            sumSquares += v * v;
+        }
+        count += data.length;
+    });
+    return { peak, rms: count ? Math.sqrt(sumSquares / count) : 0 };
+}
+
+/**
+ * Ballistics for one meter: peak hold with decay, and a latching clip light.
+ * Feed it blocks with update(); times are in milliseconds.
+ */
+class LevelMeter {
+    constructor({ holdTime = 1500, decayDbPerSec = 20, floor = METER_FLOOR_DB } = {}) {
+        this.holdTime = holdTime;
+        this.decayDbPerSec = decayDbPerSec;
+        this.floor = floor;
+        this.reset();
+    }
+
+    reset() {
+        this.peakDb = this.floor;
+        this.rmsDb = this.floor;
+        this.holdDb = this.floor;
+        this.holdAt = 0;
+        this.lastTime = null;
+        this.clipped = false;
+    }
+
+    /**
+     * Measure a block and advance the hold/decay. Returns the current reading.
+     */
+    update(channels, now) {
+        const { peak, rms } = measureBlock(channels);
+        const peakDb = toDb(peak, this.floor);
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, now - this.lastTime);
+        this.lastTime = now;
+
+        // Peak falls back smoothly rather than jumping between blocks
+        this.peakDb = Math.max(peakDb, this.peakDb - this.decayDbPerSec * elapsed / 1000);
+        this.rmsDb = toDb(rms, this.floor);
+
+        if (peakDb >= this.holdDb) {
+            this.holdDb = peakDb;
+            this.holdAt = now;
+        } else if (now - this.holdAt > this.holdTime) {
+            this.holdDb = Math.max(this.peakDb, this.floor);
+        }
+
+        if (peak >= METER_CLIP_LEVEL) this.clipped = true;
+        return this.reading();
+    }
+
+    reading() {
+        return { peakDb: this.peakDb, rmsDb: this.rmsDb, holdDb: this.holdDb, clipped: this.clipped };
+    }
+
+    clearClip() {
+        this.clipped = false;
+    }
+}
+
+/**
+ * dB -> 0..1 position on a meter scale running from floor to 0 dBFS.
+ */
+function meterPosition(db, floor = METER_FLOOR_DB) {
+    return Math.max(0, Math.min(1, (db - floor) / -floor));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { toDb, measureBlock, LevelMeter, meterPosition, METER_FLOOR_DB, METER_CLIP_LEVEL };
+}
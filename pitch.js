@@ -0,0 +1,83 @@
+// --- PITCH DETECTION ---
+// YIN pitch detection and note naming for the tuner.
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Equal-tempered frequency of a MIDI note, A4 (69) at `a4` Hz.
+ */
+function midiToFreq(midi, a4 = 440) {
+    return a4 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Nearest note to a frequency: { midi, name, octave, cents, target },
+ * cents being how far `freq` sits above (+) or below (-) the target pitch.
+ */
+function frequencyToNote(freq, a4 = 440) {
+    const exact = 69 + 12 * Math.log2(freq / a4);
+    const midi = Math.round(exact);
+    return {
+        midi,
+        name: NOTE_NAMES[((midi % 12) + 12) % 12],
+        octave: Math.floor(midi / 12) - 1,
+        cents: (exact - midi) * 100,
+        target: midiToFreq(midi, a4)
+    };
+}
+
+/**
+ * YIN fundamental estimate for one mono block.
+ * Returns { freq, clarity (0..1) }, or null for silence or no clear pitch.
+ * The block should hold at least two periods of minFreq.
+ */
+function detectPitch(data, sampleRate, { minFreq = 50, maxFreq = 1500, threshold = 0.15, minRms = 0.01 } = {}) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+    if (Math.sqrt(sum / data.length) < minRms) return null;
+
+    const tauMin = Math.max(2, Math.floor(sampleRate / maxFreq));
+    const tauMax = Math.min(Math.floor(sampleRate / minFreq), Math.floor(data.length / 2));
+    if (tauMax <= tauMin) return null;
+    const width = data.length - tauMax;
+
+    // Cumulative mean normalised difference
+    const cmnd = new Float32Array(tauMax + 1);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= tauMax; tau++) {
+        let d = 0;
+        for (let i = 0; i < width; i++) {
+            const delta = data[i] - data[i + tau];
+            d += delta * delta;
+        }
+        running += d;
+        cmnd[tau] = running > 0 ? d * tau / running : 1;
+    }
+
+    // First dip under the threshold, followed down to its bottom
+    let tau = -1;
+    for (let t = tauMin; t <= tauMax; t++) {
+        if (cmnd[t] < threshold) {
+            while (t + 1 <= tauMax && cmnd[t + 1] < cmnd[t]) t++;
+            tau = t;
+            break;
+        }
+    }
+    if (tau < 0) return null;
+
+    // Parabolic interpolation between neighbouring lags
+    let better = tau;
+    if (tau > tauMin && tau < tauMax) {
+        const a = cmnd[tau - 1];
+        const b = cmnd[tau];
+        const c = cmnd[tau + 1];
+        const denom = a - 2 * b + c;
+        if (denom !== 0) better = tau + (a - c) / (2 * denom);
+    }
+    return { freq: sampleRate / better, clarity: Math.max(0, Math.min(1, 1 - cmnd[tau])) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { detectPitch, frequencyToNote, midiToFreq, NOTE_NAMES };
+}
@@ -1,14 +1,843 @@
 // --- CONFIG ---
-const KEY_MAP = {
-    'a': 'C4', 'w': 'C#4', 's': 'D4', 'e': 'D#4', 'd': 'E4', 'f': 'F4',
-    't': 'F#4', 'g': 'G4', 'y': 'G#4', 'h': 'A4', 'u': 'A#4', 'j': 'B4', 'k': 'C5'
+// Computer keyboard -> semitones above the keyboard's base note (C of the current octave)
+const DEFAULT_KEY_MAP = {
+    'a': 0, 'w': 1, 's': 2, 'e': 3, 'd': 4, 'f': 5, 't': 6, 'g': 7, 'y': 8, 'h': 9,
+    'u': 10, 'j': 11, 'k': 12, 'l': 14, 'p': 15, ';': 16
 };
+const KEY_MAP_SPAN = 24;      // Semitone slots offered by the keymap editor
+const KEYMAP_SETTINGS_KEY = 'wooperlooper.keymap';
 
-const NOTE_FREQS = {
-    'C4': 261.63, 'C#4': 277.18, 'D4': 293.66, 'D#4': 311.13, 'E4': 329.63,
-    'F4': 349.23, 'F#4': 369.99, 'G4': 392.00, 'G#4': 415.30, 'A4': 440.00,
-    'A#4': 466.16, 'B4': 493.88, 'C5': 523.25
+// Keys that shift the keyboard rather than play: [setting, step]
+const KEYBOARD_SHIFT_KEYS = {
+    'z': ['octave', -1], 'x': ['octave', 1], 'c': ['transpose', -1], 'v': ['transpose', 1]
 };
+const LOOPER_KEYS = {
+    ' ': 'record', 'o': 'overdub', 'm': 'multiply', 'i': 'insert', 'backspace': 'clear', 'delete': 'clear',
+    '[': 'select-prev', ']': 'select-next'
+};
+
+// NOTE_NAMES comes from pitch.js
+const ALL_NOTES = Array.from({ length: 128 }, (_, midi) => NOTE_NAMES[midi % 12] + (Math.floor(midi / 12) - 1)); // 'C-1' .. 'G9'
+
+// Equal temperament around A4; the keys and tuner panels change the reference
+const TUNING = { a4: 440, min: 415, max: 466 };
+
+// Tuner: analysis block, update rate, and the window counted as in tune
+const TUNER_WINDOW = 4096;
+const TUNER_INTERVAL_MS = 50;
+const TUNER_IN_TUNE_CENTS = 5;
+const TUNER_HOLD_MS = 600; // Last reading stays up this long after the note dies
+
+const SCALES = {
+    major: { label: 'MAJOR', steps: [0, 2, 4, 5, 7, 9, 11] },
+    minor: { label: 'MINOR', steps: [0, 2, 3, 5, 7, 8, 10] },
+    dorian: { label: 'DORIAN', steps: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian: { label: 'PHRYGIAN', steps: [0, 1, 3, 5, 7, 8, 10] },
+    lydian: { label: 'LYDIAN', steps: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { label: 'MIXOLYDIAN', steps: [0, 2, 4, 5, 7, 9, 10] },
+    harmonicMinor: { label: 'HARMONIC MINOR', steps: [0, 2, 3, 5, 7, 8, 11] },
+    majorPentatonic: { label: 'MAJOR PENTATONIC', steps: [0, 2, 4, 7, 9] },
+    minorPentatonic: { label: 'MINOR PENTATONIC', steps: [0, 3, 5, 7, 10] }
+};
+const CHORD_SIZES = [{ value: 3, label: 'TRIADS' }, { value: 4, label: '7THS' }];
+const KEYBOARD_DEFAULTS = {
+    octave: 4, transpose: 0, tuning: 440,
+    scaleLock: false, root: 0, scale: 'major', chord: false, chordSize: 3
+};
+
+// Synth patches
+const OSC_TYPES = ['sine', 'triangle', 'sawtooth', 'square'];
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+const LFO_TARGETS = ['off', 'pitch', 'filter', 'amp'];
+
+// Matches the original hard-wired sound: saw into a 600 -> 4000 Hz lowpass
+const DEFAULT_PATCH = {
+    osc1Type: 'sawtooth', osc2Type: 'square', osc2Level: 0, osc2Detune: 7, osc2Octave: 0, noiseLevel: 0,
+    filterType: 'lowpass', cutoff: 600, resonance: 5, filterEnvAmount: 2.74,
+    filterAttack: 0.1, filterDecay: 0.1, filterSustain: 1, filterRelease: 0.1,
+    ampAttack: 0.05, ampDecay: 0.45, ampSustain: 0.67, ampRelease: 0.1,
+    lfoTarget: 'off', lfoWave: 'sine', lfoRate: 5, lfoDepth: 0.3,
+    glide: 0, voices: 8, bendRange: 2, level: 0.3
+};
+
+const FACTORY_SYNTH_PRESETS = {
+    'Init Saw': DEFAULT_PATCH,
+    'Soft Pad': {
+        ...DEFAULT_PATCH, osc1Type: 'sawtooth', osc2Type: 'sawtooth', osc2Level: 0.8, osc2Detune: 12,
+        cutoff: 900, resonance: 1, filterEnvAmount: 1, filterAttack: 0.8, filterSustain: 0.6,
+        ampAttack: 0.6, ampDecay: 0.5, ampSustain: 0.8, ampRelease: 1.2,
+        lfoTarget: 'pitch', lfoRate: 4.5, lfoDepth: 0.05, level: 0.2
+    },
+    'Square Bass': {
+        ...DEFAULT_PATCH, osc1Type: 'square', osc2Type: 'sawtooth', osc2Level: 0.6, osc2Octave: -1, osc2Detune: 0,
+        cutoff: 300, resonance: 8, filterEnvAmount: 3, filterAttack: 0.005, filterDecay: 0.25, filterSustain: 0.1,
+        ampAttack: 0.005, ampDecay: 0.3, ampSustain: 0.7, ampRelease: 0.08, glide: 0.08, voices: 1
+    },
+    'Wobble': {
+        ...DEFAULT_PATCH, osc2Type: 'sawtooth', osc2Level: 0.7, osc2Detune: -10, cutoff: 400, resonance: 12,
+        filterEnvAmount: 0, lfoTarget: 'filter', lfoWave: 'triangle', lfoRate: 3, lfoDepth: 2
+    },
+    'Pluck': {
+        ...DEFAULT_PATCH, osc1Type: 'triangle', osc2Type: 'square', osc2Level: 0.3, osc2Octave: 1, noiseLevel: 0.05,
+        cutoff: 500, resonance: 4, filterEnvAmount: 4, filterAttack: 0.002, filterDecay: 0.2, filterSustain: 0,
+        ampAttack: 0.002, ampDecay: 0.35, ampSustain: 0, ampRelease: 0.2
+    }
+};
+
+// Patch editor layout; `section` entries are headings
+const SYNTH_PARAMS = [
+    { section: 'OSCILLATORS' },
+    { key: 'osc1Type', label: 'OSC 1 WAVE', options: OSC_TYPES },
+    { key: 'osc2Type', label: 'OSC 2 WAVE', options: OSC_TYPES },
+    { key: 'osc2Level', label: 'OSC 2 LEVEL', min: 0, max: 1, step: 0.01 },
+    { key: 'osc2Detune', label: 'OSC 2 DETUNE', min: -50, max: 50, step: 1, unit: 'ct' },
+    { key: 'osc2Octave', label: 'OSC 2 OCTAVE', min: -2, max: 2, step: 1 },
+    { key: 'noiseLevel', label: 'NOISE', min: 0, max: 1, step: 0.01 },
+    { section: 'FILTER' },
+    { key: 'filterType', label: 'TYPE', options: FILTER_TYPES },
+    { key: 'cutoff', label: 'CUTOFF', min: 40, max: 12000, step: 1, unit: 'Hz' },
+    { key: 'resonance', label: 'RESONANCE', min: 0.1, max: 20, step: 0.1 },
+    { key: 'filterEnvAmount', label: 'ENV AMOUNT', min: -4, max: 6, step: 0.01, unit: 'oct' },
+    { key: 'filterAttack', label: 'ATTACK', min: 0.001, max: 2, step: 0.001, unit: 's' },
+    { key: 'filterDecay', label: 'DECAY', min: 0.001, max: 2, step: 0.001, unit: 's' },
+    { key: 'filterSustain', label: 'SUSTAIN', min: 0, max: 1, step: 0.01 },
+    { key: 'filterRelease', label: 'RELEASE', min: 0.001, max: 4, step: 0.001, unit: 's' },
+    { section: 'AMP' },
+    { key: 'ampAttack', label: 'ATTACK', min: 0.001, max: 2, step: 0.001, unit: 's' },
+    { key: 'ampDecay', label: 'DECAY', min: 0.001, max: 2, step: 0.001, unit: 's' },
+    { key: 'ampSustain', label: 'SUSTAIN', min: 0, max: 1, step: 0.01 },
+    { key: 'ampRelease', label: 'RELEASE', min: 0.001, max: 4, step: 0.001, unit: 's' },
+    { key: 'level', label: 'LEVEL', min: 0, max: 1, step: 0.01 },
+    { section: 'LFO' },
+    { key: 'lfoTarget', label: 'ROUTE TO', options: LFO_TARGETS },
+    { key: 'lfoWave', label: 'WAVE', options: OSC_TYPES },
+    { key: 'lfoRate', label: 'RATE', min: 0.05, max: 20, step: 0.05, unit: 'Hz' },
+    { key: 'lfoDepth', label: 'DEPTH', min: 0, max: 4, step: 0.01 },
+    { section: 'VOICING' },
+    { key: 'glide', label: 'GLIDE', min: 0, max: 1, step: 0.005, unit: 's' },
+    { key: 'voices', label: 'VOICES', min: 1, max: 16, step: 1 },
+    { key: 'bendRange', label: 'BEND RANGE', min: 0, max: 12, step: 1, unit: 'st' }
+];
+
+// Insert effects. Note values are in beats, so delay and sweep follow the tempo.
+const FX_DELAY_DIVISIONS = { '1/16': 0.25, '1/8T': 1 / 3, '1/8': 0.5, '1/8D': 0.75, '1/4': 1, '1/4D': 1.5, '1/2': 2 };
+const FX_SWEEP_PERIODS = { '1 BEAT': 1, '2 BEATS': 2, '1 BAR': 4, '2 BARS': 8, '4 BARS': 16 };
+const FX_MAX_DELAY = 4; // Seconds
+const FX_RACKS = ['synth', 'master'];
+
+// Per effect: label and parameter layout (same shape as SYNTH_PARAMS, plus a default)
+const FX_TYPES = {
+    delay: {
+        label: 'DELAY',
+        params: [
+            { key: 'division', label: 'TIME', options: Object.keys(FX_DELAY_DIVISIONS), default: '1/8D' },
+            { key: 'feedback', label: 'FEEDBACK', min: 0, max: 0.95, step: 0.01, default: 0.35 },
+            { key: 'tone', label: 'TONE', min: 200, max: 12000, step: 10, unit: 'Hz', default: 5000 },
+            { key: 'mix', label: 'MIX', min: 0, max: 1, step: 0.01, default: 0.3 }
+        ]
+    },
+    reverb: {
+        label: 'REVERB',
+        params: [
+            { key: 'size', label: 'SIZE', min: 0.2, max: 6, step: 0.1, unit: 's', default: 2.5 },
+            { key: 'decay', label: 'DECAY', min: 0.5, max: 8, step: 0.1, default: 3 },
+            { key: 'tone', label: 'TONE', min: 500, max: 16000, step: 10, unit: 'Hz', default: 8000 },
+            { key: 'mix', label: 'MIX', min: 0, max: 1, step: 0.01, default: 0.3 }
+        ]
+    },
+    distortion: {
+        label: 'DISTORTION',
+        params: [
+            { key: 'drive', label: 'DRIVE', min: 0, max: 1, step: 0.01, default: 0.4 },
+            { key: 'tone', label: 'TONE', min: 500, max: 16000, step: 10, unit: 'Hz', default: 6000 },
+            { key: 'level', label: 'LEVEL', min: 0, max: 1, step: 0.01, default: 0.7 },
+            { key: 'mix', label: 'MIX', min: 0, max: 1, step: 0.01, default: 1 }
+        ]
+    },
+    crusher: {
+        label: 'BITCRUSHER',
+        params: [
+            { key: 'bits', label: 'BITS', min: 1, max: 16, step: 1, default: 6 },
+            { key: 'downsample', label: 'DOWNSAMPLE', min: 1, max: 32, step: 1, unit: 'x', default: 4 },
+            { key: 'mix', label: 'MIX', min: 0, max: 1, step: 0.01, default: 1 }
+        ]
+    },
+    chorus: {
+        label: 'CHORUS',
+        params: [
+            { key: 'rate', label: 'RATE', min: 0.05, max: 8, step: 0.05, unit: 'Hz', default: 0.8 },
+            { key: 'depth', label: 'DEPTH', min: 0, max: 10, step: 0.1, unit: 'ms', default: 3 },
+            { key: 'mix', label: 'MIX', min: 0, max: 1, step: 0.01, default: 0.5 }
+        ]
+    },
+    filter: {
+        label: 'FILTER SWEEP',
+        params: [
+            { key: 'filterType', label: 'TYPE', options: ['lowpass', 'highpass', 'bandpass'], default: 'lowpass' },
+            { key: 'cutoff', label: 'CUTOFF', min: 40, max: 12000, step: 1, unit: 'Hz', default: 1200 },
+            { key: 'resonance', label: 'RESONANCE', min: 0.1, max: 20, step: 0.1, default: 4 },
+            { key: 'period', label: 'SWEEP', options: Object.keys(FX_SWEEP_PERIODS), default: '1 BAR' },
+            { key: 'depth', label: 'DEPTH', min: 0, max: 4, step: 0.01, unit: 'oct', default: 2 }
+        ]
+    },
+    compressor: {
+        label: 'COMPRESSOR',
+        params: [
+            { key: 'threshold', label: 'THRESHOLD', min: -60, max: 0, step: 1, unit: 'dB', default: -18 },
+            { key: 'ratio', label: 'RATIO', min: 1, max: 20, step: 0.5, default: 4 },
+            { key: 'attack', label: 'ATTACK', min: 0.001, max: 0.5, step: 0.001, unit: 's', default: 0.01 },
+            { key: 'release', label: 'RELEASE', min: 0.01, max: 1, step: 0.01, unit: 's', default: 0.25 },
+            { key: 'makeup', label: 'MAKEUP', min: 0, max: 24, step: 0.5, unit: 'dB', default: 6 }
+        ]
+    }
+};
+
+// Drum voices in grid order; `pitches` map keyboard notes by pitch class (General MIDI layout)
+const DRUM_VOICES = [
+    { id: 'kick', label: 'KICK', pitches: ['C', 'B'] },
+    { id: 'snare', label: 'SNARE', pitches: ['D', 'E'] },
+    { id: 'clap', label: 'CLAP', pitches: ['D#'] },
+    { id: 'rim', label: 'RIM', pitches: ['C#'] },
+    { id: 'tom', label: 'TOM', pitches: ['F', 'G', 'A'] },
+    { id: 'chh', label: 'CL HAT', pitches: ['F#', 'G#'] },
+    { id: 'ohh', label: 'OP HAT', pitches: ['A#'] }
+];
+const DRUM_VOICE_DEFAULTS = { tune: 0, decay: 1, level: 0.8 };
+
+// Sample pads: notes without a pad fall through to the synthesized kit
+const KIT_DEFAULT_NAME = 'Synth Kit';
+const KIT_SESSION_KEY = '~session'; // Working kit in the kits store
+const PAD_CHOKE_GROUPS = 4;
+const PAD_MAX_RECORD = 10;          // Seconds
+
+// Step sequencer
+const SEQ_PATTERN_COUNT = 8;     // Patterns A-H
+const SEQ_MAX_STEPS = 32;
+const SEQ_DEFAULT_STEPS = 16;
+const SEQ_NORMAL_VELOCITY = 0.7; // Accented steps play at full velocity
+
+// Loop tracks
+const DEFAULT_TRACK_COUNT = 3;
+const MAX_TRACKS = 16;
+const TRACK_COLORS = ['#ff0033', '#0088ff', '#22c55e', '#f59e0b', '#a855f7', '#ec4899', '#14b8a6', '#f97316'];
+
+// Metronome click options (kept with the session)
+const METRONOME_DEFAULTS = {
+    accent: true,         // Higher, louder click on the downbeat
+    subdivision: 1,       // Clicks per beat
+    level: 0.5,
+    countIn: 0,           // Bars of click before a take when the transport is stopped
+    clickToRecord: false, // Click goes into every recorder as well as the speakers
+    followLoop: false     // First loop is free length and sets the tempo
+};
+const METRONOME_SUBDIVISIONS = [
+    { value: 1, label: 'OFF' },
+    { value: 2, label: '8THS' },
+    { value: 3, label: 'TRIPLETS' },
+    { value: 4, label: '16THS' }
+];
+const TAP_TEMPO_TIMEOUT = 2000; // ms; a longer gap starts a new tap run
+const TAP_TEMPO_TAPS = 6;
+const FREE_LOOP_MIN = 0.5;      // Seconds; shortest free-length first loop
+
+// Undo steps kept per loop slot
+const LOOP_HISTORY_DEPTH = 16;
+// Loop lengths multiply can extend to, cycled on the track card
+const MULTIPLY_FACTORS = [2, 3, 4];
+
+// Scenes: launches are applied this long before their bar line (audio itself is sample-timed)
+const SCENE_LAUNCH_LEAD = 0.05; // Seconds
+const SCENE_MIDI_COUNT = 8;     // Scenes reachable from MIDI learn
+const SONG_MAX_REPEATS = 64;
+
+// Default CC -> looper action map (general purpose CCs, so sustain and friends stay free),
+// used for any CC the device has no learned mapping for
+const MIDI_CC_ACTIONS = {
+    80: 'record', 81: 'overdub', 82: 'undo', 83: 'redo', 85: 'multiply', 86: 'clear'
+};
+const MIDI_CC_MODWHEEL = 1;
+const MIDI_CC_SUSTAIN = 64;
+const MIDI_CLOCK_PPQ = 24;
+const MIDI_SETTINGS_KEY = 'wooperlooper.midi';
+
+// What a learned control can drive. Triggers fire on note-on / CC rising past 64,
+// the rest follow the 0-127 value.
+const MIDI_LEARN_TARGETS = [
+    ...['record', 'overdub', 'play', 'stop', 'undo', 'redo', 'multiply', 'multiply-factor', 'insert', 'clear',
+        'mute', 'solo', 'reverse', 'speed', 'select-next', 'select-prev']
+        .map(action => ({ id: `action:${action}`, label: `LOOPER ${action.toUpperCase()}`, trigger: true })),
+    ...Array.from({ length: MAX_TRACKS }, (_, i) => ({ id: `select:${i}`, label: `SELECT TRACK ${i + 1}`, trigger: true })),
+    ...Array.from({ length: SCENE_MIDI_COUNT }, (_, i) => ({ id: `scene:${i}`, label: `LAUNCH SCENE ${i + 1}`, trigger: true })),
+    { id: 'song:toggle', label: 'SONG PLAY/STOP', trigger: true },
+    { id: 'mix:volume', label: 'TRACK VOLUME' },
+    { id: 'mix:pan', label: 'TRACK PAN' },
+    { id: 'mix:reverb', label: 'TRACK REVERB SEND' },
+    { id: 'mix:delay', label: 'TRACK DELAY SEND' },
+    { id: 'master:volume', label: 'MASTER VOLUME' },
+    // Each param is labelled with the section header above it
+    ...SYNTH_PARAMS.reduce((acc, def) => {
+        if (def.section) acc.section = def.section;
+        else if (!def.options) acc.targets.push({ id: `synth:${def.key}`, label: `SYNTH ${acc.section} ${def.label}` });
+        return acc;
+    }, { section: '', targets: [] }).targets
+];
+
+// Control API (app.api) and the WebSocket remote that speaks it
+const API_COMMANDS = [
+    'record', 'overdub', 'play', 'stop', 'playAll', 'stopAll', 'undo', 'redo', 'multiply', 'insert', 'clear',
+    'mute', 'solo', 'reverse', 'setVolume', 'setPan', 'setSend', 'select', 'addTrack', 'removeTrack',
+    'setBpm', 'tap', 'setTimeSignature', 'setClick', 'setMasterVolume', 'noteOn', 'noteOff',
+    'launchScene', 'playSong', 'stopSong', 'getState'
+];
+const API_EVENTS = ['slot', 'tracks', 'selected', 'tempo', 'transport', 'beat', 'note', 'scene'];
+const REMOTE_SETTINGS_KEY = 'wooperlooper.remote';
+const REMOTE_DEFAULTS = { url: 'ws://localhost:8765', enabled: false };
+const REMOTE_RETRY_MS = 2000;      // First reconnect delay, doubled up to the max
+const REMOTE_RETRY_MAX_MS = 30000;
+
+// Audio input
+const INPUT_SETTINGS_KEY = 'wooperlooper.input';
+const INPUT_DEFAULTS = {
+    deviceId: '', echoCancellation: false, noiseSuppression: false, autoGainControl: false,
+    monitor: false, gain: 1, compensate: true,
+    latencies: {} // Measured round trip per input device, seconds
+};
+const CALIBRATION_CLICKS = 6;
+const CALIBRATION_SPACING = 0.4; // Seconds between clicks
+const SLOT_MAX_NUDGE = 100;      // ms either way
+
+// Note clips: quantize grids in beats, and how far ahead clip notes are scheduled
+const CLIP_QUANTIZE_GRIDS = { '1/4': 1, '1/8': 0.5, '1/8T': 1 / 3, '1/16': 0.25, '1/16T': 1 / 6, '1/32': 0.125 };
+const CLIP_LOOKAHEAD = 0.1; // Seconds
+const CLIP_TICK_MS = 25;
+const CLIP_RENDER_TAIL = 2; // Seconds of release rendered past the loop end, wrapped to the start
+
+// Arpeggiator: rates share the clip grids; steps go out on the clip scheduler's clock
+const ARP_MODES = [
+    { id: 'up', label: 'UP' },
+    { id: 'down', label: 'DOWN' },
+    { id: 'updown', label: 'UP-DOWN' },
+    { id: 'random', label: 'RANDOM' },
+    { id: 'played', label: 'AS PLAYED' }
+];
+const ARP_MAX_OCTAVES = 4;
+const ARP_DEFAULTS = {
+    enabled: false, mode: 'up', rate: '1/16', gate: 0.5, octaves: 1, latch: false,
+    swing: 0 // 0..1; every other step is pushed late by up to half a step
+};
+// What a track records: mic, synth, both, or a resample of the master output
+const RECORD_SOURCES = [
+    { id: 'both', label: 'MIC+SYN' },
+    { id: 'mic', label: 'MIC' },
+    { id: 'synth', label: 'SYNTH' },
+    { id: 'master', label: 'MASTER' }
+];
+
+// Session persistence
+const SESSION_DB = 'wooperlooper';
+const SESSION_DB_VERSION = 2;
+const PROJECT_FORMAT = 'wooperlooper-project';
+const PROJECT_VERSION = 1;
+
+// Extra audio captured past the loop end and crossfaded into the loop head,
+// so the seam is continuous instead of clicking.
+const LOOP_SEAM_FADE = 0.01; // seconds
+
+// Below this many frames WSOLA has too few grains to work with, so
+// timeStretch resamples instead (which shifts pitch).
+const STRETCH_MIN_FRAMES = 4096;
+
+// AudioWorklet that copies raw PCM frames between two absolute frame positions.
+// Loaded from a Blob URL so the app still runs from a plain file:// open.
+const RECORDER_WORKLET_SRC = `
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.takes = new Map();
+        this.port.onmessage = (e) => this.onMessage(e.data);
+    }
+
+    onMessage(msg) {
+        if (msg.type === 'start') {
+            this.takes.set(msg.id, { startFrame: msg.frame, endFrame: Infinity, started: false, pending: [], pendingFrames: 0 });
+        } else if (msg.type === 'stop') {
+            const take = this.takes.get(msg.id);
+            if (take) take.endFrame = msg.frame;
+        } else if (msg.type === 'cancel') {
+            this.takes.delete(msg.id);
+        }
+    }
+
+    flush(id, take) {
+        if (!take.pendingFrames) return;
+        const channels = [0, 1].map(c => {
+            const out = new Float32Array(take.pendingFrames);
+            let pos = 0;
+            take.pending.forEach(block => { out.set(block[c], pos); pos += block[c].length; });
+            return out;
+        });
+        this.port.postMessage({ type: 'data', id, channels }, channels.map(ch => ch.buffer));
+        take.pending = [];
+        take.pendingFrames = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0] || [];
+        const blockLength = input[0] ? input[0].length : 128;
+        const blockStart = currentFrame;
+        const blockEnd = blockStart + blockLength;
+
+        this.takes.forEach((take, id) => {
+            const from = Math.max(take.startFrame, blockStart);
+            const to = Math.min(take.endFrame, blockEnd);
+            if (to > from) {
+                if (!take.started) {
+                    take.started = true;
+                    take.startFrame = from;
+                    this.port.postMessage({ type: 'started', id, frame: from });
+                }
+                const block = [0, 1].map(c => {
+                    const src = input[c] || input[0];
+                    return src ? src.slice(from - blockStart, to - blockStart) : new Float32Array(to - from);
+                });
+                take.pending.push(block);
+                take.pendingFrames += to - from;
+                if (take.pendingFrames >= 4096) this.flush(id, take);
+            }
+            if (blockEnd >= take.endFrame) {
+                this.flush(id, take);
+                this.port.postMessage({ type: 'done', id, startFrame: take.startFrame });
+                this.takes.delete(id);
+            }
+        });
+        return true;
+    }
+}
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
+`;
+
+// Sample-and-hold plus quantizer for the bitcrusher insert.
+const CRUSHER_WORKLET_SRC = `
+class BitCrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'downsample', defaultValue: 1, minValue: 1, maxValue: 64, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.phase = 0;
+        this.held = [0, 0];
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const step = Math.pow(2, 1 - parameters.bits[0]);
+        const hold = Math.max(1, Math.round(parameters.downsample[0]));
+        let phase = this.phase;
+
+        output.forEach((out, c) => {
+            const src = input[c] || input[0];
+            phase = this.phase;
+            if (!src) {
+                out.fill(0);
+                return;
+            }
+            let held = this.held[c] || 0;
+            for (let i = 0; i < out.length; i++) {
+                if (phase === 0) held = step * Math.round(src[i] / step);
+                out[i] = held;
+                phase = (phase + 1) % hold;
+            }
+            this.held[c] = held;
+        });
+        this.phase = phase;
+        return true;
+    }
+}
+registerProcessor('bit-crusher', BitCrusherProcessor);
+`;
+
+// --- HELPERS ---
+
+/**
+ * Build a looping AudioBuffer of exactly loopFrames from captured PCM.
+ * Frames captured past the loop end are crossfaded into the head.
+ */
+function buildLoopBuffer(ctx, channels, loopFrames) {
+    const fadeFrames = Math.min(Math.max(0, channels[0].length - loopFrames), loopFrames);
+    const buffer = ctx.createBuffer(channels.length, loopFrames, ctx.sampleRate);
+    channels.forEach((src, c) => {
+        const out = buffer.getChannelData(c);
+        out.set(src.subarray(0, loopFrames));
+        for (let i = 0; i < fadeFrames; i++) {
+            const w = i / fadeFrames;
+            out[i] = src[i] * w + src[loopFrames + i] * (1 - w);
+        }
+    });
+    return buffer;
+}
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so large loops don't overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+/**
+ * Save a Blob through a temporary download link.
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function safeFilename(name) {
+    return name.replace(/[^a-z0-9-_ ]/gi, '').trim().replace(/\s+/g, '-') || 'loop';
+}
+
+/**
+ * Wrap an IDBRequest (or transaction) in a Promise.
+ */
+function idbPromise(req) {
+    return new Promise((resolve, reject) => {
+        if (req instanceof IDBTransaction) {
+            req.oncomplete = () => resolve();
+            req.onerror = req.onabort = () => reject(req.error);
+        } else {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }
+    });
+}
+
+/**
+ * Short linear fades at both ends so a trimmed sample doesn't click.
+ */
+function fadeEdges(channels, fadeFrames) {
+    channels.forEach(data => {
+        const n = Math.min(fadeFrames, Math.floor(data.length / 2));
+        for (let i = 0; i < n; i++) {
+            const g = i / n;
+            data[i] *= g;
+            data[data.length - 1 - i] *= g;
+        }
+    });
+    return channels;
+}
+
+/**
+ * Inner markup of a level meter: RMS bar, peak bar, hold tick and clip light.
+ */
+function meterMarkup() {
+    return '<div class="meter-track"><div class="meter-peak"></div><div class="meter-rms"></div><div class="meter-hold"></div></div><button class="meter-clip" title="Clip (click to reset)"></button>';
+}
+
+/**
+ * Paint a LevelMeter reading into a meter element.
+ */
+function renderMeter(el, reading) {
+    const parts = el.meterParts || (el.meterParts = {
+        peak: el.querySelector('.meter-peak'),
+        rms: el.querySelector('.meter-rms'),
+        hold: el.querySelector('.meter-hold'),
+        clip: el.querySelector('.meter-clip')
+    });
+    // Bars are clipped rather than resized so the colour scale stays put
+    if (parts.peak) parts.peak.style.clipPath = `inset(0 ${100 - meterPosition(reading.peakDb) * 100}% 0 0)`;
+    if (parts.rms) parts.rms.style.clipPath = `inset(0 ${100 - meterPosition(reading.rmsDb) * 100}% 0 0)`;
+    if (parts.hold) parts.hold.style.left = `${meterPosition(reading.holdDb) * 100}%`;
+    if (parts.clip) parts.clip.classList.toggle('clipped', reading.clipped);
+    el.title = `Peak ${reading.peakDb.toFixed(1)} dBFS / RMS ${reading.rmsDb.toFixed(1)} dBFS`;
+}
+
+/**
+ * Cut leading and trailing silence (below threshold on every channel).
+ */
+function trimSilence(channels, threshold = 0.01) {
+    const loud = i => channels.some(data => Math.abs(data[i]) >= threshold);
+    const length = channels[0].length;
+    let start = 0;
+    let end = length;
+    while (start < length && !loud(start)) start++;
+    while (end > start && !loud(end - 1)) end--;
+    return channels.map(data => data.slice(start, end));
+}
+
+/**
+ * Find test clicks in a mono capture. For each expected click frame, the delay
+ * (in frames) to the first sample within `window` that reaches half that window's
+ * peak; windows quieter than minPeak are skipped.
+ */
+function detectClickDelays(data, clickFrames, window, minPeak = 0.02) {
+    return clickFrames.map(start => {
+        const from = Math.max(0, start);
+        const end = Math.min(data.length, from + window);
+        let peak = 0;
+        for (let i = from; i < end; i++) peak = Math.max(peak, Math.abs(data[i]));
+        if (peak < minPeak) return null;
+        for (let i = from; i < end; i++) {
+            if (Math.abs(data[i]) >= peak * 0.5) return i - start;
+        }
+        return null;
+    }).filter(d => d !== null);
+}
+
+function midiToNote(midi) {
+    return ALL_NOTES[midi] || null;
+}
+
+function noteToMidi(note) {
+    const match = /^([A-G]#?)(-?\d+)$/.exec(note);
+    if (!match) return null;
+    const midi = NOTE_NAMES.indexOf(match[1]) + (Number(match[2]) + 1) * 12;
+    return midi >= 0 && midi < 128 ? midi : null;
+}
+
+/**
+ * Frequency of a note name ('A4') at the current tuning reference, or null.
+ */
+function noteFreq(note) {
+    const midi = noteToMidi(note);
+    return midi === null ? null : midiToFreq(midi, TUNING.a4);
+}
+
+/**
+ * Nearest note of the scale (root 0-11, steps from SCALES); ties go down.
+ */
+function snapToScale(midi, root, steps) {
+    const inScale = m => steps.includes(((m - root) % 12 + 12) % 12);
+    for (let d = 0; d <= 6; d++) {
+        if (inScale(midi - d)) return midi - d;
+        if (inScale(midi + d)) return midi + d;
+    }
+    return midi;
+}
+
+/**
+ * Diatonic chord on a scale note: stacked scale thirds, `size` notes.
+ */
+function scaleChord(midi, root, steps, size = 3) {
+    const pc = ((midi - root) % 12 + 12) % 12;
+    const degree = steps.indexOf(pc);
+    if (degree < 0) return [midi];
+    const base = midi - pc;
+    return Array.from({ length: size }, (_, i) => {
+        const d = degree + i * 2;
+        return base + steps[d % steps.length] + Math.floor(d / steps.length) * 12;
+    });
+}
+
+/**
+ * Arpeggio note order for held MIDI notes (in the order they were played),
+ * spread over `octaves` octaves. Random order is picked per step by the caller.
+ */
+function arpSequence(notes, mode, octaves = 1) {
+    const base = mode === 'played' ? notes : [...notes].sort((a, b) => a - b);
+    const up = [];
+    for (let o = 0; o < octaves; o++) base.forEach(n => up.push(n + o * 12));
+    if (mode === 'down') return up.reverse();
+    // Turn round without playing the top and bottom notes twice
+    if (mode === 'updown') return up.length > 2 ? [...up, ...up.slice(1, -1).reverse()] : up;
+    return up;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * AudioBuffer <-> plain { sampleRate, channels } record for IndexedDB.
+ */
+function bufferToRecord(buf) {
+    const channels = [];
+    for (let c = 0; c < buf.numberOfChannels; c++) channels.push(buf.getChannelData(c).slice());
+    return { sampleRate: buf.sampleRate, channels };
+}
+
+function recordToBuffer(ctx, rec) {
+    const buf = ctx.createBuffer(rec.channels.length, rec.channels[0].length, rec.sampleRate);
+    rec.channels.forEach((data, c) => buf.copyToChannel(data, c));
+    return buf;
+}
+
+/**
+ * WSOLA time-stretch: change length to outFrames without changing pitch.
+ * Each output frame takes the input segment (near its nominal position)
+ * that best continues the previous one, then overlap-adds with a Hann window.
+ */
+function timeStretch(channels, outFrames, sampleRate) {
+    const inFrames = channels[0].length;
+    const ratio = outFrames / inFrames;
+    if (Math.abs(ratio - 1) < 1e-4) {
+        return channels.map(ch => {
+            const out = new Float32Array(outFrames);
+            out.set(ch.subarray(0, outFrames));
+            return out;
+        });
+    }
+    if (inFrames < STRETCH_MIN_FRAMES) {
+        // Linear resample across the whole input so the length still fits
+        const step = outFrames > 1 ? (inFrames - 1) / (outFrames - 1) : 0;
+        return channels.map(ch => {
+            const out = new Float32Array(outFrames);
+            for (let i = 0; i < outFrames; i++) {
+                const x = i * step;
+                const j = Math.floor(x);
+                const next = Math.min(j + 1, inFrames - 1);
+                out[i] = ch[j] + (ch[next] - ch[j]) * (x - j);
+            }
+            return out;
+        });
+    }
+
+    const frameSize = Math.pow(2, Math.round(Math.log2(sampleRate * 0.04))); // ~40 ms
+    const synHop = frameSize / 2;
+    const anaHop = synHop / ratio;
+    const tolerance = frameSize / 4;
+
+    const win = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize);
+
+    // Mono guide signal for the similarity search
+    const guide = new Float32Array(inFrames);
+    channels.forEach(ch => { for (let i = 0; i < inFrames; i++) guide[i] += ch[i]; });
+
+    const out = channels.map(() => new Float32Array(outFrames + frameSize));
+    const norm = new Float32Array(outFrames + frameSize);
+    let prevPos = 0;
+
+    for (let k = 0; k * synHop < outFrames; k++) {
+        const nominal = Math.round(k * anaHop);
+        let best = Math.min(nominal, inFrames - 1);
+
+        if (k > 0) {
+            const natural = prevPos + synHop;
+            let bestScore = -Infinity;
+            for (let d = -tolerance; d <= tolerance; d += 4) {
+                const cand = nominal + d;
+                if (cand < 0 || cand >= inFrames) continue;
+                let score = 0;
+                for (let i = 0; i < synHop; i += 4) {
+                    const a = natural + i < inFrames ? guide[natural + i] : 0;
+                    const b = cand + i < inFrames ? guide[cand + i] : 0;
+                    score += a * b;
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = cand;
+                }
+            }
+        }
+
+        const outPos = k * synHop;
+        for (let i = 0; i < frameSize && best + i < inFrames; i++) {
+            for (let c = 0; c < channels.length; c++) out[c][outPos + i] += channels[c][best + i] * win[i];
+            norm[outPos + i] += win[i];
+        }
+        prevPos = best;
+    }
+
+    return out.map(data => {
+        const result = new Float32Array(outFrames);
+        for (let i = 0; i < outFrames; i++) result[i] = norm[i] > 1e-3 ? data[i] / norm[i] : data[i];
+        return result;
+    });
+}
+
+/**
+ * Shared reverb and delay send buses feeding `destination`.
+ * Used by the live engine and by offline bounces.
+ */
+function buildSendBuses(ctx, destination) {
+    const reverbBus = ctx.createGain();
+    const reverb = ctx.createConvolver();
+    reverb.buffer = makeImpulseResponse(ctx);
+    reverbBus.connect(reverb).connect(destination);
+
+    const delayBus = ctx.createGain();
+    const delay = ctx.createDelay(2.0);
+    delay.delayTime.value = 0.375;
+    const feedback = ctx.createGain();
+    feedback.gain.value = 0.35;
+    delayBus.connect(delay).connect(destination);
+    delay.connect(feedback).connect(delay);
+
+    return { reverbBus, delayBus };
+}
+
+/**
+ * Master limiter settings shared by the live engine and offline bounces.
+ */
+function createLimiter(ctx) {
+    const limiter = ctx.createDynamicsCompressor();
+    limiter.threshold.value = -1;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.001;
+    limiter.release.value = 0.1;
+    return limiter;
+}
+
+/**
+ * Reversed copy of an AudioBuffer.
+ */
+function reverseBuffer(ctx, buffer) {
+    const out = ctx.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        out.getChannelData(c).set(buffer.getChannelData(c));
+        out.getChannelData(c).reverse();
+    }
+    return out;
+}
+
+/**
+ * Stereo impulse response of exponentially decaying noise.
+ */
+function makeImpulseResponse(ctx, seconds = 2.5, decay = 3) {
+    const length = Math.floor(ctx.sampleRate * seconds);
+    const ir = ctx.createBuffer(2, length, ctx.sampleRate);
+    for (let c = 0; c < 2; c++) {
+        const data = ir.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+        }
+    }
+    return ir;
+}
+
+/**
+ * Soft-clipping waveshaper curve; drive 0..1.
+ */
+function makeDriveCurve(drive, samples = 2048) {
+    const k = drive * 100;
+    const curve = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+        const x = i * 2 / (samples - 1) - 1;
+        curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
+    }
+    return curve;
+}
 
 // --- CLASSES ---
 
@@ -17,11 +846,34 @@ class AudioEngine {
         this.app = app;
         this.ctx = null;
         this.masterGain = null;
+        this.limiter = null;
+        this.limiterOn = true;
+        this.masterTarget = null; // Limiter or destination, whichever the master feeds
+        this.synthFx = null;      // Insert racks
+        this.masterFx = null;
+        this.reverbBus = null;
+        this.delayBus = null;
         this.micNode = null;
+        this.micStream = null;
+        this.inputGain = null;   // Input trim; everything mic goes through it
+        this.monitorGain = null; // Input -> master, when monitoring
         this.synthBus = null;
-        this.recordDest = null;
-        this.analyser = null;
+        this.synthAlign = null;  // Delays the synth on the mixed bus to line up with the mic
+        this.recordBus = null;
+        this.recorder = null;    // Mic + synth
+        this.recorders = {};     // One per record source
+        this.meters = new Map(); // id -> { tap, meter, el }
+        this.clickBus = null;    // Metronome -> speakers
+        this.clickRecord = null; // Metronome -> recorders, when enabled
+        this.clickAlign = {};    // Per-recorder delay so the click lands on the beat in takes
+        this.inputSettings = { ...INPUT_DEFAULTS };
         this.initialized = false;
+        try {
+            this.inputSettings = { ...INPUT_DEFAULTS, ...JSON.parse(localStorage.getItem(INPUT_SETTINGS_KEY)) };
+            this.inputSettings.latencies = { ...this.inputSettings.latencies };
+        } catch (e) {
+            console.error("Input Settings Load Failed:", e);
+        }
     }
 
     async init() {
@@ -32,21 +884,64 @@ class AudioEngine {
         
         this.masterGain = this.ctx.createGain();
         this.masterGain.gain.value = 0.8;
-        this.masterGain.connect(this.ctx.destination);
+
+        // Insert racks: synth bus -> synthFx, master -> masterFx -> limiter
+        await InsertEffect.prepare(this.ctx);
+        this.synthFx = new EffectsRack(this.ctx, 'synth');
+        this.masterFx = new EffectsRack(this.ctx, 'master');
+        this.masterGain.connect(this.masterFx.input);
+
+        // Master strip: brickwall-ish limiter so stacked loops don't clip
+        this.limiter = createLimiter(this.ctx);
+        this.limiter.connect(this.ctx.destination);
+        this.setLimiter(true);
+
+        // Shared send effects, returned into the master
+        const { reverbBus, delayBus } = buildSendBuses(this.ctx, this.masterGain);
+        this.reverbBus = reverbBus;
+        this.delayBus = delayBus;
 
         // Busses
         this.synthBus = this.ctx.createGain();
-        this.synthBus.connect(this.masterGain);
+        this.synthBus.connect(this.synthFx.input);
+        this.synthFx.output.connect(this.masterGain);
 
-        this.recordDest = this.ctx.createMediaStreamDestination();
-        this.synthBus.connect(this.recordDest); // Record synth
+        this.inputGain = this.ctx.createGain();
+        this.inputGain.gain.value = this.inputSettings.gain;
+        this.monitorGain = this.ctx.createGain();
+        this.monitorGain.gain.value = this.inputSettings.monitor ? 1 : 0;
+        this.inputGain.connect(this.monitorGain).connect(this.masterGain);
 
-        // Analyser for VU
-        this.analyser = this.ctx.createAnalyser();
-        this.analyser.fftSize = 256;
-        
-        // Connect sources to Analyser for visualization
-        this.synthBus.connect(this.analyser);
+        this.recordBus = this.ctx.createGain();
+        this.inputGain.connect(this.recordBus);
+        this.synthAlign = this.ctx.createDelay(1);
+        this.synthFx.output.connect(this.synthAlign).connect(this.recordBus); // Record synth
+
+        // Raw PCM capture, one recorder per source (post inserts)
+        const taps = { both: this.recordBus, mic: this.inputGain, synth: this.synthFx.output, master: this.masterFx.output };
+        for (const id of Object.keys(taps)) {
+            const recorder = new LoopRecorder(this.ctx);
+            await recorder.init();
+            taps[id].connect(recorder.node);
+            this.recorders[id] = recorder;
+        }
+        this.recorder = this.recorders.both;
+
+        // Click: straight to the speakers, past master volume and inserts.
+        // Into the recorders only on request, each delayed by its capture offset.
+        this.clickBus = this.ctx.createGain();
+        this.clickBus.connect(this.ctx.destination);
+        this.clickRecord = this.ctx.createGain();
+        this.clickRecord.gain.value = 0;
+        this.clickBus.connect(this.clickRecord);
+        for (const id of Object.keys(this.recorders)) {
+            this.clickAlign[id] = this.ctx.createDelay(1);
+            this.clickRecord.connect(this.clickAlign[id]).connect(this.recorders[id].node);
+        }
+
+        // Level meters: master bus (post inserts, pre limiter) and input
+        this.addMeter('master', this.masterFx.output, document.getElementById('meter-master'));
+        this.addMeter('input', this.inputGain, document.getElementById('meter-input'));
 
         this.initialized = true;
         
@@ -58,23 +953,55 @@ class AudioEngine {
     }
 
     /**
-     * Request Microphone access and connect nodes.
+     * Route the master through the limiter or straight to the output.
+     */
+    setLimiter(on) {
+        this.limiterOn = on;
+        // Only swap the output; recorder and meter taps stay connected
+        const out = this.masterFx.output;
+        if (this.masterTarget) out.disconnect(this.masterTarget);
+        this.masterTarget = on ? this.limiter : this.ctx.destination;
+        out.connect(this.masterTarget);
+    }
+
+    /**
+     * Keep tempo-synced inserts on the beat.
+     */
+    setTempo(bpm) {
+        this.synthFx.setTempo(60 / bpm);
+        this.masterFx.setTempo(60 / bpm);
+    }
+
+    fxRack(name) {
+        return name === 'synth' ? this.synthFx : this.masterFx;
+    }
+
+    /**
+     * Open the selected input device (or the default one) with the current
+     * processing options, replacing any open stream.
      */
     async setupMic() {
+        const s = this.inputSettings;
+        const constraints = {
+            echoCancellation: s.echoCancellation,
+            noiseSuppression: s.noiseSuppression,
+            autoGainControl: s.autoGainControl
+        };
+        this.closeMic();
         try {
-            // Check Permissions first?
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: {
-                echoCancellation: false,
-                noiseSuppression: false,
-                autoGainControl: false
-            }});
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ audio: s.deviceId ? { ...constraints, deviceId: { exact: s.deviceId } } : constraints });
+            } catch (err) {
+                // Chosen device unplugged: fall back to the default one
+                if (!s.deviceId) throw err;
+                console.warn("Input device unavailable, using default:", err);
+                stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+            }
+            this.micStream = stream;
             this.micNode = this.ctx.createMediaStreamSource(stream);
-            
-            // Connect Mic to Record Dest (for recording)
-            this.micNode.connect(this.recordDest);
-            
-            // Connect Mic to Analyser (for VU Meter)
-            this.micNode.connect(this.analyser);
+            this.micNode.connect(this.inputGain);
+            this.updateAlignment();
             
             console.log("Mic Connected");
         } catch (err) {
@@ -83,435 +1010,6633 @@ class AudioEngine {
         }
     }
 
-    metricLoop() {
-        if (!this.analyser) return;
-        const dataArray = new Uint8Array(this.analyser.frequencyBinCount);
-        const draw = () => {
-            requestAnimationFrame(draw);
-            this.analyser.getByteFrequencyData(dataArray);
-            let sum = 0;
-            for(let i=0; i<dataArray.length;i++) sum+=dataArray[i];
-            const avg = sum / dataArray.length;
-            
-            // UI Update
-            const meter = document.getElementById('vu-meter');
-            if (meter) {
-                // simple volume based width
-                const width = Math.min(100, avg * 1.5);
-                meter.style.width = width + '%';
-                meter.style.opacity = width > 5 ? 1 : 0.3;
-            }
-        };
-        draw();
+    closeMic() {
+        if (this.micNode) this.micNode.disconnect();
+        if (this.micStream) this.micStream.getTracks().forEach(t => t.stop());
+        this.micNode = null;
+        this.micStream = null;
     }
-}
 
-class Synthesizer {
-    constructor(engine) {
-        this.engine = engine;
-        this.activeOscillators = {};
-        this.mode = 'synth'; // 'synth' or 'drums'
+    saveInputSettings() {
+        try {
+            localStorage.setItem(INPUT_SETTINGS_KEY, JSON.stringify(this.inputSettings));
+        } catch (e) {
+            console.error("Input Settings Save Failed:", e);
+        }
     }
 
-    setMode(mode) {
-        this.mode = mode;
-        // Visual Update of keys? handled by app
+    /**
+     * Change an input setting; device and processing changes reopen the stream.
+     */
+    setInputSetting(key, value) {
+        this.inputSettings[key] = value;
+        this.saveInputSettings();
+        const t = this.ctx.currentTime;
+        if (key === 'gain') this.inputGain.gain.setTargetAtTime(value, t, 0.01);
+        else if (key === 'monitor') this.monitorGain.gain.setTargetAtTime(value ? 1 : 0, t, 0.01);
+        else if (key === 'compensate') this.updateAlignment();
+        else return this.setupMic();
     }
 
-    playNote(note) {
-        if (!this.engine.initialized) return;
-        
-        if (this.mode === 'drums') {
-            this.playDrum(note);
-            this.highlightKey(note, true);
-            setTimeout(() => this.highlightKey(note, false), 100);
-            return;
-        }
-
-        if (this.activeOscillators[note]) return;
-
-        const ctx = this.engine.ctx;
-        const freq = NOTE_FREQS[note];
+    get outputLatency() {
+        return this.ctx.outputLatency || this.ctx.baseLatency || 0;
+    }
 
-        const osc = ctx.createOscillator();
-        osc.type = 'sawtooth';
-        osc.frequency.setValueAtTime(freq, ctx.currentTime);
+    /**
+     * Device-reported capture latency of the open input, in seconds.
+     */
+    get inputLatency() {
+        const track = this.micStream && this.micStream.getAudioTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return settings.latency || 0;
+    }
 
-        const filter = ctx.createBiquadFilter();
-        filter.type = 'lowpass';
-        filter.Q.value = 5;
-        filter.frequency.setValueAtTime(600, ctx.currentTime);
-        filter.frequency.exponentialRampToValueAtTime(4000, ctx.currentTime + 0.1);
+    get latencyKey() {
+        return this.inputSettings.deviceId || 'default';
+    }
 
-        const gain = ctx.createGain();
-        gain.gain.setValueAtTime(0, ctx.currentTime);
-        gain.gain.linearRampToValueAtTime(0.3, ctx.currentTime + 0.05);
-        gain.gain.exponentialRampToValueAtTime(0.2, ctx.currentTime + 0.5);
+    get measuredLatency() {
+        const measured = this.inputSettings.latencies[this.latencyKey];
+        return measured === undefined ? null : measured;
+    }
 
-        osc.connect(filter);
-        filter.connect(gain);
-        gain.connect(this.engine.synthBus);
+    /**
+     * Output-to-input round trip: the calibrated value for this device if
+     * there is one, else what the browser reports.
+     */
+    get roundTripLatency() {
+        const measured = this.measuredLatency;
+        return measured !== null ? measured : this.outputLatency + this.inputLatency;
+    }
 
-        osc.start();
-        this.activeOscillators[note] = { osc, gain, filter };
-        
-        this.highlightKey(note, true);
+    /**
+     * How much later than the beat a source's audio reaches its recorder,
+     * for a player in time with what they hear: output latency for the synth,
+     * the round trip for the mic. The master resample is internal.
+     */
+    captureOffset(source) {
+        if (!this.inputSettings.compensate || source === 'master') return 0;
+        if (source === 'synth') return this.outputLatency;
+        return this.roundTripLatency;
     }
 
-    stopNote(note) {
-        if (!this.engine.initialized || this.mode === 'drums') return;
-        const active = this.activeOscillators[note];
-        if (!active) return;
+    /**
+     * On the mixed bus the synth is held back by the input side of the
+     * round trip so it lands together with the mic.
+     */
+    updateAlignment() {
+        const delay = this.inputSettings.compensate ? Math.max(0, this.roundTripLatency - this.outputLatency) : 0;
+        this.synthAlign.delayTime.setValueAtTime(Math.min(1, delay), this.ctx.currentTime);
+        Object.keys(this.clickAlign).forEach(id => {
+            this.clickAlign[id].delayTime.setValueAtTime(Math.min(1, this.captureOffset(id)), this.ctx.currentTime);
+        });
+    }
 
-        const ctx = this.engine.ctx;
-        const { osc, gain } = active;
+    setClickRecord(on) {
+        this.clickRecord.gain.setTargetAtTime(on ? 1 : 0, this.ctx.currentTime, 0.005);
+    }
 
-        gain.gain.cancelScheduledValues(ctx.currentTime);
-        gain.gain.setValueAtTime(gain.gain.value, ctx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.1);
-        osc.stop(ctx.currentTime + 0.1);
+    /**
+     * Play clicks through the master, find them on the mic and store the
+     * median delay as this device's round trip. Resolves with seconds.
+     */
+    async measureLatency() {
+        if (!this.micNode) throw new Error("No input is open.");
+        const ctx = this.ctx;
+        const sr = ctx.sampleRate;
+        const recorder = this.recorders.mic;
 
-        delete this.activeOscillators[note];
-        this.highlightKey(note, false);
-    }
+        // Monitoring would feed the clicks straight back in
+        const monitor = this.monitorGain.gain.value;
+        this.monitorGain.gain.setValueAtTime(0, ctx.currentTime);
 
-    playDrum(note) {
-        // Simple Mapping
-        // C4, C#4, D4...
-        // Kick: C4, Snare: D4, Hat: E4...
-        const ctx = this.engine.ctx;
-        const t = ctx.currentTime;
-        
-        if (note.includes('C')) { // Kick (Any C)
+        const start = ctx.currentTime + 0.2;
+        const take = recorder.start(start);
+        const times = [];
+        for (let k = 0; k < CALIBRATION_CLICKS; k++) {
+            const t = start + 0.1 + k * CALIBRATION_SPACING;
             const osc = ctx.createOscillator();
             const gain = ctx.createGain();
-            osc.frequency.setValueAtTime(150, t);
-            osc.frequency.exponentialRampToValueAtTime(0.01, t + 0.5);
-            gain.gain.setValueAtTime(1, t);
-            gain.gain.exponentialRampToValueAtTime(0.01, t + 0.5);
-            osc.connect(gain).connect(this.engine.synthBus);
+            osc.type = 'square';
+            osc.frequency.value = 1000;
+            gain.gain.value = 0.8;
+            osc.connect(gain).connect(this.masterGain);
             osc.start(t);
-            osc.stop(t + 0.5);
-        } else if (note.includes('D')) { // Snare
-             const noise = ctx.createBufferSource();
-             const buffer = ctx.createBuffer(1, ctx.sampleRate * 1, ctx.sampleRate);
-             const data = buffer.getChannelData(0);
-             for(let i=0; i<data.length; i++) data[i] = Math.random() * 2 - 1;
-             noise.buffer = buffer;
-             
-             const filter = ctx.createBiquadFilter();
-             filter.type = 'highpass';
-             filter.frequency.value = 1000;
-             
-             const gain = ctx.createGain();
-             gain.gain.setValueAtTime(0.8, t);
-             gain.gain.exponentialRampToValueAtTime(0.01, t + 0.2);
-             
-             noise.connect(filter).connect(gain).connect(this.engine.synthBus);
-             noise.start(t);
-        } else if (note.includes('E') || note.includes('F')) { // HiHat
-             const osc = ctx.createOscillator(); // Square for metallic
-             osc.type = 'square';
-             osc.frequency.setValueAtTime(800, t); // Metallic clang
-             
-             // Or noise again
-             const noise = ctx.createBufferSource();
-             const buffer = ctx.createBuffer(1, ctx.sampleRate * 0.1, ctx.sampleRate);
-             const data = buffer.getChannelData(0);
-             for(let i=0; i<data.length; i++) data[i] = Math.random() * 2 - 1;
-             noise.buffer = buffer;
-             
-             const filter = ctx.createBiquadFilter();
-             filter.type = 'highpass';
-             filter.frequency.value = 5000;
-             
-             const gain = ctx.createGain();
-             gain.gain.setValueAtTime(0.3, t);
-             gain.gain.exponentialRampToValueAtTime(0.01, t + 0.05);
-             
-             noise.connect(filter).connect(gain).connect(this.engine.synthBus);
-             noise.start(t);
+            osc.stop(t + 0.01);
+            times.push(t);
         }
-    }
 
-    highlightKey(note, isActive) {
-        const btn = document.querySelector(`button[data-note="${note}"]`);
-        if (btn) {
-            if (isActive) btn.classList.add('active');
-            else btn.classList.remove('active');
+        let result;
+        try {
+            result = await recorder.stop(take, times[times.length - 1] + CALIBRATION_SPACING);
+        } finally {
+            this.monitorGain.gain.setValueAtTime(monitor, ctx.currentTime);
         }
-    }
+        if (!result) throw new Error("Capture was cancelled.");
+
+        const clickFrames = times.map(t => Math.round(t * sr) - result.startFrame);
+        const delays = detectClickDelays(result.channels[0], clickFrames, Math.round(CALIBRATION_SPACING * sr * 0.9));
+        if (delays.length < CALIBRATION_CLICKS / 2) {
+            throw new Error("Clicks not detected. Turn the volume up, echo cancellation off, and keep the mic near the speakers.");
+        }
+
+        const latency = median(delays) / sr;
+        this.inputSettings.latencies[this.latencyKey] = latency;
+        this.saveInputSettings();
+        this.updateAlignment();
+        return latency;
+    }
+
+    clearMeasuredLatency() {
+        delete this.inputSettings.latencies[this.latencyKey];
+        this.saveInputSettings();
+        this.updateAlignment();
+    }
+
+    recorderFor(source) {
+        return this.recorders[source] || this.recorder;
+    }
+
+    /**
+     * Meter a node's output into a .meter element (see meterMarkup).
+     */
+    addMeter(id, node, el) {
+        if (!el) return;
+        this.removeMeter(id);
+        if (!el.querySelector('.meter-track')) el.innerHTML = meterMarkup();
+        const entry = { tap: new MeterTap(this.ctx, node), meter: new LevelMeter(), el };
+        const clip = el.querySelector('.meter-clip');
+        if (clip) {
+            clip.onclick = (e) => {
+                e.stopPropagation();
+                entry.meter.clearClip();
+            };
+        }
+        this.meters.set(id, entry);
+    }
+
+    removeMeter(id) {
+        const entry = this.meters.get(id);
+        if (!entry) return;
+        entry.tap.disconnect();
+        this.meters.delete(id);
+    }
+
+    metricLoop() {
+        const draw = () => {
+            requestAnimationFrame(draw);
+            const now = performance.now();
+            this.meters.forEach(({ tap, meter, el }) => renderMeter(el, meter.update(tap.read(), now)));
+
+            // Light the limiter while it is pulling gain down
+            const lim = document.getElementById('btn-limiter');
+            if (lim) {
+                const reduction = typeof this.limiter.reduction === 'number' ? this.limiter.reduction : this.limiter.reduction.value;
+                lim.classList.toggle('text-upsideDown-red', this.limiterOn && reduction < -0.5);
+            }
+        };
+        draw();
+    }
+}
+
+/**
+ * Stereo analyser pair hanging off a node, read as raw sample blocks.
+ */
+class MeterTap {
+    constructor(ctx, node) {
+        this.node = node;
+        this.splitter = ctx.createChannelSplitter(2);
+        this.analysers = [0, 1].map(c => {
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 2048;
+            this.splitter.connect(analyser, c);
+            return analyser;
+        });
+        this.blocks = this.analysers.map(a => new Float32Array(a.fftSize));
+        node.connect(this.splitter);
+    }
+
+    read() {
+        this.analysers.forEach((a, c) => a.getFloatTimeDomainData(this.blocks[c]));
+        return this.blocks;
+    }
+
+    disconnect() {
+        this.node.disconnect(this.splitter);
+    }
+}
+
+class LoopRecorder {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.node = null;
+        this.takes = new Map();
+        this.nextId = 1;
+    }
+
+    async init() {
+        // The processor can only be registered once per context
+        if (!LoopRecorder.loaded.has(this.ctx)) {
+            const url = URL.createObjectURL(new Blob([RECORDER_WORKLET_SRC], { type: 'application/javascript' }));
+            await this.ctx.audioWorklet.addModule(url);
+            URL.revokeObjectURL(url);
+            LoopRecorder.loaded.add(this.ctx);
+        }
+
+        this.node = new AudioWorkletNode(this.ctx, 'pcm-recorder', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        this.node.port.onmessage = (e) => this.onMessage(e.data);
+
+        // Keep the node pulled by the graph without making any sound
+        const sink = this.ctx.createGain();
+        sink.gain.value = 0;
+        this.node.connect(sink).connect(this.ctx.destination);
+    }
+
+    toFrame(time) {
+        return Math.round(time * this.ctx.sampleRate);
+    }
+
+    /**
+     * Start capturing at an AudioContext time. Returns a take id.
+     * onData(channels) receives blocks as they arrive.
+     */
+    start(time, onData = null) {
+        const id = this.nextId++;
+        const take = { chunks: [], frames: 0, onData, resolve: null };
+        take.done = new Promise(resolve => { take.resolve = resolve; });
+        this.takes.set(id, take);
+        this.node.port.postMessage({ type: 'start', id, frame: this.toFrame(time) });
+        return id;
+    }
+
+    /**
+     * Stop a take at an AudioContext time.
+     * Resolves with { startFrame, channels } once the last frame has been captured.
+     */
+    stop(id, time) {
+        const take = this.takes.get(id);
+        if (!take) return Promise.resolve(null);
+        this.node.port.postMessage({ type: 'stop', id, frame: this.toFrame(time) });
+        return take.done;
+    }
+
+    cancel(id) {
+        const take = this.takes.get(id);
+        if (!take) return;
+        this.node.port.postMessage({ type: 'cancel', id });
+        this.takes.delete(id);
+        take.resolve(null);
+    }
+
+    onMessage(msg) {
+        const take = this.takes.get(msg.id);
+        if (!take) return;
+
+        if (msg.type === 'started') {
+            take.startFrame = msg.frame;
+        } else if (msg.type === 'data') {
+            take.chunks.push(msg.channels);
+            take.frames += msg.channels[0].length;
+            if (take.onData) take.onData(msg.channels);
+        } else if (msg.type === 'done') {
+            const channels = [0, 1].map(c => {
+                const out = new Float32Array(take.frames);
+                let pos = 0;
+                take.chunks.forEach(chunk => { out.set(chunk[c], pos); pos += chunk[c].length; });
+                return out;
+            });
+            this.takes.delete(msg.id);
+            take.resolve({ startFrame: msg.startFrame, channels });
+        }
+    }
+}
+
+LoopRecorder.loaded = new WeakSet();
+
+/**
+ * One insert effect of a FX_TYPES type: input -> (dry | effect -> wet) -> output.
+ * Bypass and mix just move the dry/wet gains, so nothing is rewired at runtime.
+ */
+class InsertEffect {
+    constructor(ctx, type, params = {}, id = 0) {
+        const def = FX_TYPES[type];
+        if (!def) throw new Error(`Unknown effect type: ${type}`);
+        this.ctx = ctx;
+        this.type = type;
+        this.def = def;
+        this.id = id;
+        this.bypassed = false;
+        this.secondsPerBeat = 0.5;
+        this.params = {};
+        def.params.forEach(p => {
+            this.params[p.key] = params[p.key] !== undefined ? params[p.key] : p.default;
+        });
+
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.dry = ctx.createGain();
+        this.wet = ctx.createGain();
+        this.input.connect(this.dry).connect(this.output);
+        this.wet.connect(this.output);
+        this.nodes = {};
+        this.build();
+        Object.keys(this.params).forEach(key => this.apply(key));
+        this.updateMix();
+    }
+
+    /**
+     * Register the bitcrusher worklet. Await once per context before building effects.
+     */
+    static async prepare(ctx) {
+        if (InsertEffect.loaded.has(ctx)) return;
+        const url = URL.createObjectURL(new Blob([CRUSHER_WORKLET_SRC], { type: 'application/javascript' }));
+        await ctx.audioWorklet.addModule(url);
+        URL.revokeObjectURL(url);
+        InsertEffect.loaded.add(ctx);
+    }
+
+    get label() { return this.def.label; }
+
+    build() {
+        const ctx = this.ctx;
+        const n = this.nodes;
+        switch (this.type) {
+            case 'delay':
+                n.delay = ctx.createDelay(FX_MAX_DELAY);
+                n.feedback = ctx.createGain();
+                n.tone = ctx.createBiquadFilter();
+                n.tone.type = 'lowpass';
+                this.input.connect(n.delay).connect(n.tone).connect(this.wet);
+                n.tone.connect(n.feedback).connect(n.delay);
+                break;
+            case 'reverb':
+                n.convolver = ctx.createConvolver();
+                n.tone = ctx.createBiquadFilter();
+                n.tone.type = 'lowpass';
+                this.input.connect(n.convolver).connect(n.tone).connect(this.wet);
+                break;
+            case 'distortion':
+                n.shaper = ctx.createWaveShaper();
+                n.shaper.oversample = '4x';
+                n.tone = ctx.createBiquadFilter();
+                n.tone.type = 'lowpass';
+                n.level = ctx.createGain();
+                this.input.connect(n.shaper).connect(n.tone).connect(n.level).connect(this.wet);
+                break;
+            case 'crusher':
+                n.crusher = new AudioWorkletNode(ctx, 'bit-crusher', { outputChannelCount: [2] });
+                this.input.connect(n.crusher).connect(this.wet);
+                break;
+            case 'chorus': {
+                // Two short delays swept in opposite directions, one per side
+                n.lfo = ctx.createOscillator();
+                n.depthL = ctx.createGain();
+                n.depthR = ctx.createGain();
+                n.delayL = ctx.createDelay(0.1);
+                n.delayR = ctx.createDelay(0.1);
+                n.delayL.delayTime.value = n.delayR.delayTime.value = 0.015;
+                const merger = ctx.createChannelMerger(2);
+                n.lfo.connect(n.depthL).connect(n.delayL.delayTime);
+                n.lfo.connect(n.depthR).connect(n.delayR.delayTime);
+                this.input.connect(n.delayL).connect(merger, 0, 0);
+                this.input.connect(n.delayR).connect(merger, 0, 1);
+                merger.connect(this.wet);
+                n.lfo.start();
+                break;
+            }
+            case 'filter':
+                n.filter = ctx.createBiquadFilter();
+                n.lfo = ctx.createOscillator();
+                n.depth = ctx.createGain();
+                n.lfo.connect(n.depth).connect(n.filter.detune);
+                this.input.connect(n.filter).connect(this.wet);
+                n.lfo.start();
+                break;
+            case 'compressor':
+                n.comp = ctx.createDynamicsCompressor();
+                n.makeup = ctx.createGain();
+                this.input.connect(n.comp).connect(n.makeup).connect(this.wet);
+                break;
+        }
+    }
+
+    /**
+     * Push one parameter from this.params into the nodes.
+     */
+    apply(key) {
+        const n = this.nodes;
+        const v = this.params[key];
+        const t = this.ctx.currentTime;
+        const set = (param, value) => param.setTargetAtTime(value, t, 0.02);
+
+        if (key === 'mix') return this.updateMix();
+        if (key === 'tone') return set(n.tone.frequency, v);
+        switch (this.type) {
+            case 'delay':
+                if (key === 'division') set(n.delay.delayTime, Math.min(FX_MAX_DELAY, FX_DELAY_DIVISIONS[v] * this.secondsPerBeat));
+                else if (key === 'feedback') set(n.feedback.gain, v);
+                break;
+            case 'reverb':
+                // Size and decay shape the impulse response itself
+                n.convolver.buffer = makeImpulseResponse(this.ctx, this.params.size, this.params.decay);
+                break;
+            case 'distortion':
+                if (key === 'drive') n.shaper.curve = makeDriveCurve(v);
+                else if (key === 'level') set(n.level.gain, v);
+                break;
+            case 'crusher':
+                set(n.crusher.parameters.get(key), v);
+                break;
+            case 'chorus':
+                if (key === 'rate') set(n.lfo.frequency, v);
+                else if (key === 'depth') {
+                    set(n.depthL.gain, v / 1000);
+                    set(n.depthR.gain, -v / 1000);
+                }
+                break;
+            case 'filter':
+                if (key === 'filterType') n.filter.type = v;
+                else if (key === 'cutoff') set(n.filter.frequency, v);
+                else if (key === 'resonance') set(n.filter.Q, v);
+                else if (key === 'period') set(n.lfo.frequency, 1 / (FX_SWEEP_PERIODS[v] * this.secondsPerBeat));
+                else if (key === 'depth') set(n.depth.gain, v * 1200);
+                break;
+            case 'compressor':
+                if (key === 'makeup') set(n.makeup.gain, Math.pow(10, v / 20));
+                else set(n.comp[key], v);
+                break;
+        }
+    }
+
+    setParam(key, value) {
+        if (!(key in this.params)) return;
+        this.params[key] = value;
+        this.apply(key);
+    }
+
+    setBypass(on) {
+        this.bypassed = on;
+        this.updateMix();
+    }
+
+    updateMix() {
+        const mix = this.params.mix !== undefined ? this.params.mix : 1;
+        const t = this.ctx.currentTime;
+        this.dry.gain.setTargetAtTime(this.bypassed ? 1 : 1 - mix, t, 0.01);
+        this.wet.gain.setTargetAtTime(this.bypassed ? 0 : mix, t, 0.01);
+    }
+
+    setTempo(secondsPerBeat) {
+        this.secondsPerBeat = secondsPerBeat;
+        if (this.type === 'delay') this.apply('division');
+        else if (this.type === 'filter') this.apply('period');
+    }
+
+    getState() {
+        return { type: this.type, bypass: this.bypassed, params: { ...this.params } };
+    }
+
+    disconnect() {
+        this.input.disconnect();
+        this.output.disconnect();
+        if (this.nodes.lfo) this.nodes.lfo.stop();
+    }
+}
+
+InsertEffect.loaded = new WeakSet();
+
+/**
+ * Ordered chain of InsertEffects between `input` and `output`.
+ */
+class EffectsRack {
+    constructor(ctx, name) {
+        this.ctx = ctx;
+        this.name = name;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.effects = [];
+        this.secondsPerBeat = 0.5;
+        this.nextId = 1;
+        this.rewire();
+    }
+
+    get(id) {
+        return this.effects.find(e => e.id === id);
+    }
+
+    /**
+     * Add an effect at `index` (default: end of the chain). Returns it.
+     */
+    add(type, params = {}, index = this.effects.length) {
+        const effect = new InsertEffect(this.ctx, type, params, this.nextId++);
+        effect.setTempo(this.secondsPerBeat);
+        this.effects.splice(index, 0, effect);
+        this.rewire();
+        return effect;
+    }
+
+    remove(id) {
+        const effect = this.get(id);
+        if (!effect) return;
+        this.effects = this.effects.filter(e => e !== effect);
+        effect.disconnect();
+        this.rewire();
+    }
+
+    move(id, index) {
+        const effect = this.get(id);
+        if (!effect) return;
+        this.effects = this.effects.filter(e => e !== effect);
+        this.effects.splice(Math.max(0, Math.min(this.effects.length, index)), 0, effect);
+        this.rewire();
+    }
+
+    setBypass(id, on) {
+        const effect = this.get(id);
+        if (effect) effect.setBypass(on);
+    }
+
+    setParam(id, key, value) {
+        const effect = this.get(id);
+        if (effect) effect.setParam(key, value);
+    }
+
+    setTempo(secondsPerBeat) {
+        this.secondsPerBeat = secondsPerBeat;
+        this.effects.forEach(e => e.setTempo(secondsPerBeat));
+    }
+
+    /**
+     * Chain input -> effects in order -> output.
+     */
+    rewire() {
+        this.input.disconnect();
+        this.effects.forEach(e => e.output.disconnect());
+        let prev = this.input;
+        this.effects.forEach(e => {
+            prev.connect(e.input);
+            prev = e.output;
+        });
+        prev.connect(this.output);
+    }
+
+    getState() {
+        return this.effects.map(e => e.getState());
+    }
+
+    setState(list = []) {
+        this.effects.forEach(e => e.disconnect());
+        this.effects = [];
+        list.forEach(fx => {
+            if (!FX_TYPES[fx.type]) return;
+            const effect = new InsertEffect(this.ctx, fx.type, fx.params, this.nextId++);
+            effect.setTempo(this.secondsPerBeat);
+            effect.setBypass(!!fx.bypass);
+            this.effects.push(effect);
+        });
+        this.rewire();
+    }
+}
+
+/**
+ * Named presets: read-only factory entries plus user entries in localStorage.
+ */
+class PresetStore {
+    constructor(storageKey, factory = {}) {
+        this.storageKey = storageKey;
+        this.factory = factory;
+        this.user = {};
+        try {
+            this.user = JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (e) {
+            console.error("Preset Load Failed:", e);
+        }
+    }
+
+    names() {
+        return [...Object.keys(this.factory), ...Object.keys(this.user).filter(n => !(n in this.factory))];
+    }
+
+    get(name) {
+        const preset = this.user[name] || this.factory[name];
+        return preset ? JSON.parse(JSON.stringify(preset)) : null;
+    }
+
+    isFactory(name) {
+        return name in this.factory;
+    }
+
+    save(name, data) {
+        if (!name || this.isFactory(name)) return false;
+        this.user[name] = JSON.parse(JSON.stringify(data));
+        this.persist();
+        return true;
+    }
+
+    remove(name) {
+        if (!(name in this.user)) return;
+        delete this.user[name];
+        this.persist();
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.user));
+        } catch (e) {
+            console.error("Preset Save Failed:", e);
+        }
+    }
+}
+
+/**
+ * One synth note: two oscillators + noise -> filter (with envelope) -> amp (ADSR),
+ * with an optional LFO routed to pitch, filter or amp.
+ */
+class SynthVoice {
+    /**
+     * opts: { patch, ctx, destination } to voice a clip note with its own patch,
+     * possibly offline. Such voices ignore the pitch wheel and mod wheel.
+     */
+    constructor(synth, note, freq, fromFreq, time, velocity = 1, opts = {}) {
+        const ctx = opts.ctx || synth.engine.ctx;
+        const pitchMod = opts.destination ? null : synth.getPitchMod();
+        const p = { ...DEFAULT_PATCH, ...(opts.patch || synth.patch) };
+        this.patch = p;
+        this.note = note;
+        this.ctx = ctx;
+        this.sources = [];
+
+        this.filter = ctx.createBiquadFilter();
+        this.filter.type = p.filterType;
+        this.filter.Q.value = p.resonance;
+
+        this.amp = ctx.createGain();
+        this.tremolo = ctx.createGain();
+        this.filter.connect(this.amp).connect(this.tremolo).connect(opts.destination || synth.engine.synthBus);
+
+        // Oscillators, gliding from the previous note when glide is set
+        const glideEnd = time + p.glide;
+        this.oscs = [
+            { type: p.osc1Type, level: 1, ratio: 1, detune: 0 },
+            { type: p.osc2Type, level: p.osc2Level, ratio: Math.pow(2, p.osc2Octave), detune: p.osc2Detune }
+        ].filter(o => o.level > 0).map(o => {
+            const osc = ctx.createOscillator();
+            osc.type = o.type;
+            osc.detune.value = o.detune;
+            if (p.glide > 0 && fromFreq) {
+                osc.frequency.setValueAtTime(fromFreq * o.ratio, time);
+                osc.frequency.exponentialRampToValueAtTime(freq * o.ratio, glideEnd);
+            } else {
+                osc.frequency.setValueAtTime(freq * o.ratio, time);
+            }
+            const level = ctx.createGain();
+            level.gain.value = o.level;
+            osc.connect(level).connect(this.filter);
+            // Pitch bend and mod wheel vibrato
+            if (pitchMod) {
+                pitchMod.connect(osc.detune);
+                osc.onended = () => pitchMod.disconnect(osc.detune);
+            }
+            osc.start(time);
+            this.sources.push(osc);
+            return { osc, ratio: o.ratio };
+        });
+
+        if (p.noiseLevel > 0) {
+            const noise = ctx.createBufferSource();
+            noise.buffer = synth.getNoiseBuffer();
+            noise.loop = true;
+            const level = ctx.createGain();
+            level.gain.value = p.noiseLevel;
+            noise.connect(level).connect(this.filter);
+            noise.start(time);
+            this.sources.push(noise);
+        }
+
+        // Filter envelope, in octaves above the cutoff
+        const f = this.filter.frequency;
+        const peak = this.clampFreq(p.cutoff * Math.pow(2, p.filterEnvAmount));
+        const sustain = this.clampFreq(p.cutoff * Math.pow(2, p.filterEnvAmount * p.filterSustain));
+        f.setValueAtTime(this.clampFreq(p.cutoff), time);
+        f.exponentialRampToValueAtTime(peak, time + p.filterAttack);
+        f.exponentialRampToValueAtTime(sustain, time + p.filterAttack + p.filterDecay);
+
+        // Amp envelope, scaled by velocity
+        const g = this.amp.gain;
+        const level = p.level * velocity;
+        g.setValueAtTime(0, time);
+        g.linearRampToValueAtTime(level, time + p.ampAttack);
+        g.exponentialRampToValueAtTime(Math.max(0.0001, level * p.ampSustain), time + p.ampAttack + p.ampDecay);
+
+        if (p.lfoTarget !== 'off' && p.lfoDepth > 0) this.startLfo(time);
+    }
+
+    clampFreq(freq) {
+        return Math.max(20, Math.min(this.ctx.sampleRate / 2 - 100, freq));
+    }
+
+    startLfo(time) {
+        const p = this.patch;
+        const lfo = this.ctx.createOscillator();
+        lfo.type = p.lfoWave;
+        lfo.frequency.value = p.lfoRate;
+        const depth = this.ctx.createGain();
+        lfo.connect(depth);
+
+        if (p.lfoTarget === 'pitch') {
+            depth.gain.value = p.lfoDepth * 100; // cents
+            this.oscs.forEach(o => depth.connect(o.osc.detune));
+        } else if (p.lfoTarget === 'filter') {
+            depth.gain.value = p.lfoDepth * p.cutoff;
+            depth.connect(this.filter.frequency);
+        } else if (p.lfoTarget === 'amp') {
+            depth.gain.value = Math.min(1, p.lfoDepth) / 2;
+            this.tremolo.gain.value = 1 - depth.gain.value;
+            depth.connect(this.tremolo.gain);
+        }
+        lfo.start(time);
+        this.sources.push(lfo);
+    }
+
+    /**
+     * Slide a held (mono) voice to a new pitch.
+     */
+    glideTo(freq, time) {
+        const glide = Math.max(0.001, this.patch.glide);
+        this.oscs.forEach(o => {
+            o.osc.frequency.cancelScheduledValues(time);
+            o.osc.frequency.setValueAtTime(o.osc.frequency.value, time);
+            o.osc.frequency.exponentialRampToValueAtTime(freq * o.ratio, time + glide);
+        });
+    }
+
+    holdParam(param, time) {
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(time);
+        } else {
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(param.value, time);
+        }
+    }
+
+    /**
+     * Run the release stages; `fast` is used for voice stealing.
+     */
+    release(time, fast = false) {
+        const p = this.patch;
+        const ampRelease = fast ? 0.005 : p.ampRelease;
+        this.holdParam(this.amp.gain, time);
+        this.amp.gain.exponentialRampToValueAtTime(0.0001, time + ampRelease);
+        if (!fast) {
+            this.holdParam(this.filter.frequency, time);
+            this.filter.frequency.exponentialRampToValueAtTime(this.clampFreq(p.cutoff), time + p.filterRelease);
+        }
+        this.sources.forEach(src => src.stop(time + ampRelease + 0.02));
+    }
+}
+
+/**
+ * Synthesized drum voices, each with tune (semitones), decay (x) and level.
+ * Plays into any context so patterns can be rendered offline.
+ */
+class DrumKit {
+    constructor(engine) {
+        this.engine = engine;
+        this.params = {};
+        DRUM_VOICES.forEach(v => { this.params[v.id] = { ...DRUM_VOICE_DEFAULTS }; });
+        this.noiseBuffers = new WeakMap(); // Per context
+    }
+
+    setParam(voice, key, value) {
+        if (this.params[voice]) this.params[voice][key] = value;
+    }
+
+    getState() {
+        return JSON.parse(JSON.stringify(this.params));
+    }
+
+    setState(params) {
+        DRUM_VOICES.forEach(v => {
+            this.params[v.id] = { ...DRUM_VOICE_DEFAULTS, ...(params && params[v.id]) };
+        });
+    }
+
+    noise(ctx) {
+        if (!this.noiseBuffers.has(ctx)) {
+            const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+            this.noiseBuffers.set(ctx, buffer);
+        }
+        return this.noiseBuffers.get(ctx);
+    }
+
+    trigger(voice, time, velocity = 1, ctx = this.engine.ctx, destination = this.engine.synthBus) {
+        const p = this.params[voice];
+        if (!p) return;
+        const pitch = Math.pow(2, p.tune / 12);
+        const decay = p.decay;
+        const level = p.level * velocity;
+
+        const out = ctx.createGain();
+        out.gain.value = level;
+        out.connect(destination);
+
+        // Enveloped oscillator with a falling pitch
+        const tone = (type, from, to, length, peak) => {
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            osc.type = type;
+            osc.frequency.setValueAtTime(from * pitch, time);
+            osc.frequency.exponentialRampToValueAtTime(to * pitch, time + length);
+            gain.gain.setValueAtTime(peak, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + length);
+            osc.connect(gain).connect(out);
+            osc.start(time);
+            osc.stop(time + length + 0.01);
+        };
+        // Filtered noise burst; `at` offsets the hit for claps
+        const noise = (filterType, freq, length, peak, at = 0) => {
+            const src = ctx.createBufferSource();
+            src.buffer = this.noise(ctx);
+            const filter = ctx.createBiquadFilter();
+            filter.type = filterType;
+            filter.frequency.value = freq * pitch;
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(peak, time + at);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + at + length);
+            src.connect(filter).connect(gain).connect(out);
+            src.start(time + at);
+            src.stop(time + at + length + 0.01);
+        };
+
+        switch (voice) {
+            case 'kick':
+                tone('sine', 150, 0.01, 0.5 * decay, 1);
+                break;
+            case 'snare':
+                tone('triangle', 180, 120, 0.1 * decay, 0.5);
+                noise('highpass', 1000, 0.2 * decay, 0.8);
+                break;
+            case 'clap':
+                [0, 0.01, 0.02].forEach(at => noise('bandpass', 1500, 0.01, 0.8, at));
+                noise('bandpass', 1500, 0.15 * decay, 0.7, 0.03);
+                break;
+            case 'rim':
+                tone('triangle', 1700, 1200, 0.03 * decay, 0.6);
+                noise('highpass', 3000, 0.02 * decay, 0.3);
+                break;
+            case 'tom':
+                tone('sine', 120, 60, 0.35 * decay, 0.9);
+                break;
+            case 'chh':
+                noise('highpass', 5000, 0.05 * decay, 0.3);
+                break;
+            case 'ohh':
+                noise('highpass', 5000, 0.4 * decay, 0.3);
+                break;
+        }
+    }
+}
+
+/**
+ * Sample pads keyed by note name, each with velocity layers, pitch, level,
+ * a choke group and one-shot or gate playback.
+ */
+class DrumPads {
+    constructor(engine) {
+        this.engine = engine;
+        this.name = KIT_DEFAULT_NAME;
+        this.pads = {};        // note -> pad
+        this.active = [];      // Sounding voices, for chokes and gates
+        this.onTrigger = null; // fn(note) on every drum hit
+    }
+
+    static emptyPad() {
+        return { pitch: 0, level: 1, choke: 0, mode: 'oneshot', layers: [] };
+    }
+
+    getPad(note, create = false) {
+        if (!this.pads[note] && create) this.pads[note] = DrumPads.emptyPad();
+        return this.pads[note] || null;
+    }
+
+    hasSample(note) {
+        const pad = this.pads[note];
+        return !!(pad && pad.layers.length);
+    }
+
+    /**
+     * Add a velocity layer; layers are kept sorted by their top velocity (0..1).
+     */
+    addLayer(note, buffer, name, maxVelocity = 1) {
+        const pad = this.getPad(note, true);
+        pad.layers.push({ buffer, name, maxVelocity });
+        this.sortLayers(pad);
+    }
+
+    sortLayers(pad) {
+        pad.layers.sort((a, b) => a.maxVelocity - b.maxVelocity);
+    }
+
+    removeLayer(note, index) {
+        const pad = this.pads[note];
+        if (!pad) return;
+        pad.layers.splice(index, 1);
+    }
+
+    clearPad(note) {
+        delete this.pads[note];
+    }
+
+    /**
+     * Play a pad; returns false when the note has no sample so the caller can fall back.
+     */
+    trigger(note, velocity = 1, time = this.engine.ctx.currentTime, ctx = this.engine.ctx, destination = this.engine.synthBus) {
+        const pad = this.pads[note];
+        if (!pad || !pad.layers.length) return false;
+        const layer = pad.layers.find(l => velocity <= l.maxVelocity) || pad.layers[pad.layers.length - 1];
+
+        if (pad.choke) this.active.filter(v => v.ctx === ctx && v.choke === pad.choke).forEach(v => this.fadeOut(v, time, 0.005));
+        this.active.filter(v => v.ctx === ctx && v.note === note && v.mode === 'gate').forEach(v => this.fadeOut(v, time, 0.005));
+
+        const src = ctx.createBufferSource();
+        src.buffer = layer.buffer;
+        src.playbackRate.value = Math.pow(2, pad.pitch / 12);
+        const gain = ctx.createGain();
+        gain.gain.value = pad.level * velocity;
+        src.connect(gain).connect(destination);
+        src.start(time);
+
+        const voice = { ctx, note, choke: pad.choke, mode: pad.mode, src, gain, stopped: false };
+        this.active.push(voice);
+        src.onended = () => { this.active = this.active.filter(v => v !== voice); };
+        return true;
+    }
+
+    fadeOut(voice, time, length) {
+        if (voice.stopped) return;
+        voice.stopped = true;
+        voice.gain.gain.setTargetAtTime(0, time, length / 3);
+        voice.src.stop(time + length);
+    }
+
+    /**
+     * Key up: gate-mode pads stop, one-shots ring out.
+     */
+    release(note) {
+        const time = this.engine.ctx.currentTime;
+        this.active.filter(v => v.ctx === this.engine.ctx && v.note === note && v.mode === 'gate')
+            .forEach(v => this.fadeOut(v, time, 0.02));
+    }
+
+    getState() {
+        const pads = {};
+        Object.entries(this.pads).forEach(([note, pad]) => {
+            pads[note] = {
+                ...pad,
+                layers: pad.layers.map(l => ({ name: l.name, maxVelocity: l.maxVelocity, audio: bufferToRecord(l.buffer) }))
+            };
+        });
+        return { name: this.name, pads };
+    }
+
+    setState(state) {
+        const ctx = this.engine.ctx;
+        this.name = (state && state.name) || KIT_DEFAULT_NAME;
+        this.pads = {};
+        Object.entries((state && state.pads) || {}).forEach(([note, pad]) => {
+            this.pads[note] = {
+                ...DrumPads.emptyPad(),
+                ...pad,
+                layers: (pad.layers || []).map(l => ({ name: l.name, maxVelocity: l.maxVelocity, buffer: recordToBuffer(ctx, l.audio) }))
+            };
+        });
+    }
+}
+
+class Synthesizer {
+    constructor(engine) {
+        this.engine = engine;
+        this.activeVoices = new Map(); // note -> SynthVoice, in start order
+        this.heldNotes = [];           // For mono legato
+        this.sustainedNotes = new Set(); // Released while the sustain pedal was down
+        this.sustain = false;
+        this.lastFreq = null;
+        this.noiseBuffer = null;
+        this.pitchMod = null;
+        this.patch = { ...DEFAULT_PATCH };
+        this.kit = new DrumKit(engine);
+        this.pads = new DrumPads(engine);
+        this.mode = 'synth'; // 'synth' or 'drums'
+        this.noteListeners = [];
+    }
+
+    /**
+     * Register fn(note, on, velocity, time) for every note played or released,
+     * whatever it came from (keys, mouse, touch or MIDI).
+     */
+    onNote(fn) {
+        this.noteListeners.push(fn);
+        return () => { this.noteListeners = this.noteListeners.filter(l => l !== fn); };
+    }
+
+    emitNote(note, on, velocity, time = this.engine.ctx.currentTime) {
+        this.noteListeners.forEach(fn => fn(note, on, velocity, time));
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        // Visual Update of keys? handled by app
+    }
+
+    setPatch(patch) {
+        this.patch = { ...DEFAULT_PATCH, ...patch };
+    }
+
+    setParam(key, value) {
+        this.patch[key] = value;
+    }
+
+    /**
+     * Two seconds of white noise, shared by every voice.
+     */
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const ctx = this.engine.ctx;
+            this.noiseBuffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        return this.noiseBuffer;
+    }
+
+    /**
+     * Summing point for pitch bend and mod wheel vibrato, in cents; every oscillator listens to it.
+     */
+    getPitchMod() {
+        if (!this.pitchMod) {
+            const ctx = this.engine.ctx;
+            this.pitchMod = ctx.createGain();
+
+            this.bendSource = ctx.createConstantSource();
+            this.bendSource.offset.value = 0;
+            this.bendSource.connect(this.pitchMod);
+            this.bendSource.start();
+
+            this.vibrato = ctx.createOscillator();
+            this.vibrato.frequency.value = 5.5;
+            this.vibratoDepth = ctx.createGain();
+            this.vibratoDepth.gain.value = 0;
+            this.vibrato.connect(this.vibratoDepth).connect(this.pitchMod);
+            this.vibrato.start();
+        }
+        return this.pitchMod;
+    }
+
+    /**
+     * Bend every sounding voice; amount runs -1..1 across the patch's bend range.
+     */
+    setPitchBend(amount) {
+        this.getPitchMod();
+        const cents = amount * this.patch.bendRange * 100;
+        this.bendSource.offset.setTargetAtTime(cents, this.engine.ctx.currentTime, 0.005);
+    }
+
+    /**
+     * Mod wheel: 0..1 fades in up to 50 cents of vibrato.
+     */
+    setModulation(amount) {
+        this.getPitchMod();
+        this.vibratoDepth.gain.setTargetAtTime(amount * 50, this.engine.ctx.currentTime, 0.02);
+    }
+
+    setSustain(on) {
+        this.sustain = on;
+        if (on) return;
+        this.sustainedNotes.forEach(note => {
+            if (!this.heldNotes.includes(note)) this.releaseVoice(note);
+        });
+        this.sustainedNotes.clear();
+    }
+
+    playNote(note, velocity = 1) {
+        if (!this.engine.initialized) return;
+        this.emitNote(note, true, velocity);
+        
+        if (this.mode === 'drums') {
+            this.playDrum(note, velocity);
+            this.highlightKey(note, true);
+            setTimeout(() => this.highlightKey(note, false), 100);
+            return;
+        }
+
+        if (this.activeVoices.has(note)) {
+            // Restriking a note that only rings on through the pedal
+            if (!this.sustainedNotes.has(note)) return;
+            this.sustainedNotes.delete(note);
+            this.activeVoices.get(note).release(this.engine.ctx.currentTime, true);
+            this.activeVoices.delete(note);
+        }
+
+        const ctx = this.engine.ctx;
+        const freq = noteFreq(note);
+        if (!freq) return;
+        const time = ctx.currentTime;
+        const mono = this.patch.voices <= 1;
+
+        // Mono legato: slide the sounding voice instead of retriggering
+        if (mono && this.activeVoices.size) {
+            const [prevNote, voice] = this.activeVoices.entries().next().value;
+            this.activeVoices.delete(prevNote);
+            this.highlightKey(prevNote, false);
+            if (this.patch.glide > 0) {
+                voice.glideTo(freq, time);
+                voice.note = note;
+                this.activeVoices.set(note, voice);
+                this.heldNotes.push(note);
+                this.lastFreq = freq;
+                this.highlightKey(note, true);
+                return;
+            }
+            voice.release(time, true);
+        }
+
+        // Steal the oldest voices beyond the limit
+        while (this.activeVoices.size >= this.patch.voices) {
+            const [oldNote, oldVoice] = this.activeVoices.entries().next().value;
+            oldVoice.release(time, true);
+            this.activeVoices.delete(oldNote);
+            this.sustainedNotes.delete(oldNote);
+            this.highlightKey(oldNote, false);
+        }
+
+        const voice = new SynthVoice(this, note, freq, this.lastFreq, time, velocity);
+        this.activeVoices.set(note, voice);
+        if (!this.heldNotes.includes(note)) this.heldNotes.push(note);
+        this.lastFreq = freq;
+        
+        this.highlightKey(note, true);
+    }
+
+    stopNote(note) {
+        if (!this.engine.initialized) return;
+        this.emitNote(note, false, 0);
+        if (this.mode === 'drums') {
+            this.pads.release(note);
+            return;
+        }
+        this.heldNotes = this.heldNotes.filter(n => n !== note);
+        const voice = this.activeVoices.get(note);
+        if (!voice) return;
+
+        const ctx = this.engine.ctx;
+
+        // Mono: fall back to the most recent key still held
+        const fallback = this.heldNotes[this.heldNotes.length - 1];
+        if (this.patch.voices <= 1 && fallback) {
+            const freq = noteFreq(fallback);
+            this.activeVoices.delete(note);
+            this.highlightKey(note, false);
+            voice.glideTo(freq, ctx.currentTime);
+            voice.note = fallback;
+            this.activeVoices.set(fallback, voice);
+            this.lastFreq = freq;
+            this.highlightKey(fallback, true);
+            return;
+        }
+
+        if (this.sustain) {
+            this.sustainedNotes.add(note);
+            this.highlightKey(note, false);
+            return;
+        }
+        this.releaseVoice(note);
+    }
+
+    releaseVoice(note) {
+        const voice = this.activeVoices.get(note);
+        if (!voice) return;
+        voice.release(this.engine.ctx.currentTime);
+        this.activeVoices.delete(note);
+        this.highlightKey(note, false);
+    }
+
+    playDrum(note, velocity = 1) {
+        if (this.pads.onTrigger) this.pads.onTrigger(note);
+        this.triggerDrumNote(note, this.engine.ctx.currentTime, velocity);
+    }
+
+    /**
+     * Hit whatever a keyboard note plays in drum mode: its sample pad, or the
+     * synthesized voice for its pitch class. `usePads` false skips the pads.
+     */
+    triggerDrumNote(note, time, velocity = 1, ctx = this.engine.ctx, destination = this.engine.synthBus, usePads = true) {
+        if (usePads && this.pads.trigger(note, velocity, time, ctx, destination)) return;
+        const pitchClass = note.replace(/-?\d+$/, '');
+        const voice = DRUM_VOICES.find(v => v.pitches.includes(pitchClass));
+        if (voice) this.kit.trigger(voice.id, time, velocity, ctx, destination);
+    }
+
+    /**
+     * Play a clip note through a clip voice (see NoteClip) at `time` for `length` seconds.
+     * Returns the SynthVoice, or null for drum hits.
+     */
+    scheduleNote(voice, note, time, length, velocity, ctx = this.engine.ctx, destination = this.engine.synthBus) {
+        if (voice.mode === 'drums') {
+            this.triggerDrumNote(note, time, velocity, ctx, destination, voice.pads !== false);
+            return null;
+        }
+        const freq = noteFreq(note);
+        if (!freq) return null;
+        const synthVoice = new SynthVoice(this, note, freq, null, time, velocity, { patch: voice.patch, ctx, destination });
+        synthVoice.release(time + length);
+        return synthVoice;
+    }
+
+    /**
+     * Hit a sequencer voice: the sample pad on its home note (e.g. C4 for the kick)
+     * if the kit has one, otherwise the synthesized voice.
+     */
+    triggerDrumVoice(id, time, velocity = 1, ctx = this.engine.ctx, destination = this.engine.synthBus) {
+        const voice = DRUM_VOICES.find(v => v.id === id);
+        if (!voice) return;
+        if (this.pads.trigger(`${voice.pitches[0]}4`, velocity, time, ctx, destination)) return;
+        this.kit.trigger(id, time, velocity, ctx, destination);
+    }
+
+    highlightKey(note, isActive) {
+        const btn = document.querySelector(`button[data-note="${note}"]`);
+        if (btn) {
+            if (isActive) btn.classList.add('active');
+            else btn.classList.remove('active');
+        }
+    }
+}
+
+class Metronome {
+    constructor(engine) {
+        this.engine = engine;
+        this.isPlaying = false; // Click audible
+        this.running = false;   // Transport clock running
+        this.bpm = 120;
+        this.beatsPerBar = 4;
+        this.beatUnit = 4;
+        this.nextBeat = 0;
+        this.nextNoteTime = 0.0;
+        // Tempo anchor: beat number and time it falls on, moved on every BPM change
+        this.anchorBeat = 0;
+        this.anchorTime = 0.0;
+        this.barOriginBeat = 0; // Beat on which bar counting (re)started
+        this.timerID = null;
+        this.lookahead = 25.0;
+        this.scheduleAheadTime = 0.1;
+        this.listeners = [];
+        this.transportListeners = [];
+        this.tempoListeners = [];
+        this.settings = { ...METRONOME_DEFAULTS };
+        this.countInUntil = 0; // Clicks sound up to here whether or not the click is on
+        this.taps = [];        // performance.now() of recent taps
+    }
+
+    getState() {
+        return { ...this.settings };
+    }
+
+    setState(state) {
+        this.settings = { ...METRONOME_DEFAULTS, ...state };
+        this.engine.setClickRecord(this.settings.clickToRecord);
+    }
+
+    setSetting(key, value) {
+        this.settings[key] = value;
+        if (key === 'clickToRecord') this.engine.setClickRecord(value);
+    }
+
+    /**
+     * Tap tempo: the median gap of the last few taps sets the BPM.
+     * Returns the new BPM, or null until there are two taps.
+     */
+    tap(now = performance.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && now - last > TAP_TEMPO_TIMEOUT) this.taps = [];
+        this.taps.push(now);
+        if (this.taps.length > TAP_TEMPO_TAPS) this.taps.shift();
+        if (this.taps.length < 2) return null;
+        const gaps = this.taps.slice(1).map((t, i) => t - this.taps[i]);
+        this.setBpm(Math.round(60000 / median(gaps) * 10) / 10);
+        return this.bpm;
+    }
+
+    /**
+     * When a take should start: the next bar, or after the count-in when the
+     * transport is stopped and a count-in is set.
+     */
+    recordStartTime() {
+        const counting = !this.running && this.settings.countIn > 0;
+        const bar = this.nextBarTime();
+        if (!counting) return bar;
+        const start = this.timeAtBeat(this.beatAtTime(bar) + this.settings.countIn * this.beatsPerBar);
+        this.countInUntil = start;
+        return start;
+    }
+
+    /**
+     * Take a new tempo with `beat` falling on `time` (e.g. fitted to a loop
+     * that started there). Beats already scheduled stay where they are.
+     */
+    retime(bpm, beat, time) {
+        this.setBpm(bpm);
+        this.anchorBeat = beat;
+        this.anchorTime = time;
+        if (!this.running) return;
+        const ctx = this.engine.ctx;
+        this.nextBeat = Math.max(Math.ceil(this.beatAtTime(this.nextNoteTime) - 1e-6), Math.ceil(this.beatAtTime(ctx.currentTime)));
+        this.nextNoteTime = this.timeAtBeat(this.nextBeat);
+    }
+
+    get secondsPerBeat() { return 60.0 / this.bpm; }
+    get barDuration() { return this.secondsPerBeat * this.beatsPerBar; }
+    
+    toggle() {
+        this.isPlaying = !this.isPlaying;
+        if (this.isPlaying && !this.running) this.start();
+        return this.isPlaying;
+    }
+
+    /**
+     * Start the transport clock. Beat 0 (bar 1) falls on `time`.
+     */
+    start(time = null) {
+        const ctx = this.engine.ctx;
+        ctx.resume();
+        if (time === null) time = ctx.currentTime + 0.05;
+        clearTimeout(this.timerID);
+        this.running = true;
+        this.nextBeat = 0;
+        this.nextNoteTime = time;
+        this.anchorBeat = 0;
+        this.anchorTime = time;
+        this.barOriginBeat = 0;
+        this.transportListeners.forEach(fn => fn(true, time));
+        this.scheduler();
+    }
+
+    stop() {
+        const wasRunning = this.running;
+        this.running = false;
+        clearTimeout(this.timerID);
+        this.updateDisplay(null);
+        if (wasRunning) this.transportListeners.forEach(fn => fn(false, this.engine.ctx.currentTime));
+    }
+
+    setBpm(bpm) {
+        bpm = Math.max(20, Math.min(300, Number(bpm) || 120));
+        if (this.running) {
+            // Keep already scheduled beats where they are
+            this.anchorBeat = this.nextBeat;
+            this.anchorTime = this.nextNoteTime;
+        }
+        this.bpm = bpm;
+        this.tempoListeners.forEach(fn => fn(bpm));
+    }
+
+    /**
+     * Register fn(bpm) to be called whenever the tempo changes.
+     */
+    onTempo(fn) {
+        this.tempoListeners.push(fn);
+        return () => { this.tempoListeners = this.tempoListeners.filter(l => l !== fn); };
+    }
+
+    setTimeSignature(beatsPerBar, beatUnit) {
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+        // Next beat becomes a downbeat so bar boundaries stay on beats
+        if (this.running) this.barOriginBeat = this.nextBeat;
+    }
+
+    timeAtBeat(beat) {
+        return this.anchorTime + (beat - this.anchorBeat) * this.secondsPerBeat;
+    }
+
+    beatAtTime(time) {
+        return this.anchorBeat + (time - this.anchorTime) / this.secondsPerBeat;
+    }
+
+    /**
+     * Time of the next bar line at or after `time`.
+     * Starts the transport (bar 1 right away) if it is not running yet.
+     */
+    nextBarTime(time = this.engine.ctx.currentTime) {
+        if (!this.running) {
+            this.start();
+            return this.anchorTime;
+        }
+        const barsSoFar = (this.beatAtTime(time) - this.barOriginBeat) / this.beatsPerBar;
+        const bar = Math.ceil(barsSoFar - 1e-6);
+        return this.timeAtBeat(this.barOriginBeat + bar * this.beatsPerBar);
+    }
+
+    /**
+     * Register fn(beat, time) to be called for every beat as it is scheduled.
+     */
+    onBeat(fn) {
+        this.listeners.push(fn);
+        return () => { this.listeners = this.listeners.filter(l => l !== fn); };
+    }
+
+    /**
+     * Register fn(running, time) to be called when the transport starts or stops.
+     */
+    onTransport(fn) {
+        this.transportListeners.push(fn);
+        return () => { this.transportListeners = this.transportListeners.filter(l => l !== fn); };
+    }
+
+    position(beat) {
+        const rel = beat - this.barOriginBeat;
+        return {
+            bar: Math.floor(rel / this.beatsPerBar) + 1,
+            beat: ((rel % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar + 1
+        };
+    }
+    
+    scheduler() {
+        while (this.nextNoteTime < this.engine.ctx.currentTime + this.scheduleAheadTime) {
+            this.scheduleNote(this.nextBeat, this.nextNoteTime);
+            this.nextNote();
+        }
+        this.timerID = setTimeout(()=>this.scheduler(), this.lookahead);
+    }
+    
+    scheduleNote(beat, time) {
+        this.listeners.forEach(fn => fn(beat, time));
+
+        const pos = this.position(beat);
+        const countIn = time < this.countInUntil - 1e-6;
+        if (this.isPlaying || countIn) {
+            const { accent, subdivision, level } = this.settings;
+            const downbeat = accent && pos.beat === 1;
+            this.click(time, downbeat ? 1500 : 1000, downbeat ? level : level * 0.6);
+            for (let s = 1; s < subdivision; s++) {
+                this.click(time + s * this.secondsPerBeat / subdivision, 800, level * 0.3);
+            }
+        }
+        
+        // Visual
+        const diff = time - this.engine.ctx.currentTime;
+        const beatsLeft = countIn ? Math.round(this.beatAtTime(this.countInUntil) - beat) : 0;
+        setTimeout(() => {
+            if (!this.running) return;
+            this.updateDisplay(pos, beatsLeft);
+            const el = document.getElementById('btn-metronome');
+            if (el && this.isPlaying) {
+                el.classList.add('bg-white');
+                setTimeout(() => el.classList.remove('bg-white'), 100);
+            }
+        }, diff * 1000);
+    }
+
+    click(time, freq, level) {
+        const ctx = this.engine.ctx;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(level, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        osc.connect(gain).connect(this.engine.clickBus);
+        osc.start(time);
+        osc.stop(time + 0.05);
+    }
+
+    updateDisplay(pos, countIn = 0) {
+        const el = document.getElementById('transport-display');
+        if (el) el.innerText = countIn ? `-${countIn}` : pos ? `${pos.bar}.${pos.beat}` : '-.-';
+    }
+    
+    nextNote() {
+        this.nextBeat++;
+        this.nextNoteTime = this.timeAtBeat(this.nextBeat);
+    }
+}
+
+/**
+ * Drum pattern sequencer. Steps are sixteenth notes scheduled from the
+ * Metronome lookahead loop; patterns play in chain order.
+ */
+class StepSequencer {
+    constructor(app) {
+        this.app = app;
+        this.patterns = Array.from({ length: SEQ_PATTERN_COUNT }, () => this.emptyPattern());
+        this.editing = 0;
+        this.chain = [0];
+        this.swing = 50;     // Percent: 50 straight, ~67 triplet feel
+        this.playing = false;
+        this.startBeat = 0;
+        this.stepCounter = 0; // Steps scheduled since start, across the chain
+
+        const metronome = app.metronome;
+        metronome.onBeat((beat, time) => this.scheduleBeat(beat, time));
+        metronome.onTransport(running => { if (!running) this.stop(); });
+        this.bindUI();
+    }
+
+    emptyPattern(length = SEQ_DEFAULT_STEPS) {
+        const steps = {};
+        DRUM_VOICES.forEach(v => { steps[v.id] = new Array(SEQ_MAX_STEPS).fill(0); });
+        return { length, steps }; // Step values: 0 off, 1 on, 2 accent
+    }
+
+    get stepsPerBeat() {
+        return 16 / this.app.metronome.beatUnit;
+    }
+
+    get stepDuration() {
+        return this.app.metronome.secondsPerBeat / this.stepsPerBeat;
+    }
+
+    get chainSteps() {
+        return this.chain.reduce((sum, i) => sum + this.patterns[i].length, 0);
+    }
+
+    /**
+     * Which pattern and step the n-th step of the chain lands on.
+     */
+    stepAt(n) {
+        let rest = n % this.chainSteps;
+        for (const index of this.chain) {
+            const length = this.patterns[index].length;
+            if (rest < length) return { index, step: rest };
+            rest -= length;
+        }
+        return { index: this.chain[0], step: 0 };
+    }
+
+    swingOffset(n) {
+        return n % 2 ? (this.swing / 50 - 1) * this.stepDuration : 0;
+    }
+
+    /**
+     * Start on the next bar line that has not been scheduled yet.
+     */
+    start() {
+        if (this.playing) return;
+        const metronome = this.app.metronome;
+        this.stepCounter = 0;
+        this.playing = true;
+        if (!metronome.running) {
+            this.startBeat = 0;
+            metronome.start();
+        } else {
+            const rel = metronome.nextBeat - metronome.barOriginBeat;
+            this.startBeat = metronome.barOriginBeat + Math.ceil(rel / metronome.beatsPerBar) * metronome.beatsPerBar;
+        }
+        this.updateUI();
+    }
+
+    stop() {
+        if (!this.playing) return;
+        this.playing = false;
+        this.showStep(null);
+        this.updateUI();
+    }
+
+    scheduleBeat(beat, time) {
+        if (!this.playing || beat < this.startBeat) return;
+        const synth = this.app.synth;
+        const stepDuration = this.stepDuration;
+        for (let i = 0; i < this.stepsPerBeat; i++) {
+            const n = this.stepCounter++;
+            const { index, step } = this.stepAt(n);
+            const stepTime = time + i * stepDuration + this.swingOffset(n);
+            const pattern = this.patterns[index];
+            DRUM_VOICES.forEach(v => {
+                const value = pattern.steps[v.id][step];
+                if (value) synth.triggerDrumVoice(v.id, stepTime, value === 2 ? 1 : SEQ_NORMAL_VELOCITY);
+            });
+
+            const diff = stepTime - this.app.audio.ctx.currentTime;
+            setTimeout(() => { if (this.playing) this.showStep(index, step); }, diff * 1000);
+        }
+    }
+
+    /**
+     * Render the chain into the selected track, at the current tempo and
+     * snapped to the master loop. Ringing hits wrap round to the start.
+     */
+    async print() {
+        const slot = this.app.looper.slots[this.app.selectedSlot];
+        if (!slot) return;
+        try {
+            const ctx = this.app.audio.ctx;
+            const sr = ctx.sampleRate;
+            const stepDuration = this.stepDuration;
+            let frames = Math.round(this.chainSteps * stepDuration * sr);
+            const master = this.app.looper.masterFrames;
+            if (master) frames = Math.max(1, Math.round(frames / master)) * master;
+            const tail = Math.round(sr * 2);
+
+            const offline = new OfflineAudioContext(2, frames + tail, sr);
+            const synth = this.app.synth;
+            for (let n = 0; n * stepDuration < frames / sr; n++) {
+                const { index, step } = this.stepAt(n);
+                const time = n * stepDuration + this.swingOffset(n);
+                DRUM_VOICES.forEach(v => {
+                    const value = this.patterns[index].steps[v.id][step];
+                    if (value) synth.triggerDrumVoice(v.id, time, value === 2 ? 1 : SEQ_NORMAL_VELOCITY, offline, offline.destination);
+                });
+            }
+            const rendered = await offline.startRendering();
+
+            const buffer = ctx.createBuffer(2, frames, sr);
+            for (let c = 0; c < 2; c++) {
+                const src = rendered.getChannelData(c);
+                const data = src.slice(0, frames);
+                for (let i = 0; i < tail; i++) data[i % frames] += src[frames + i];
+                buffer.copyToChannel(data, c);
+            }
+            if (slot.isCapturing) slot.clear();
+            slot.loadSample(buffer);
+        } catch (e) {
+            console.error("Pattern Print Failed:", e);
+            alert("Could not print pattern: " + e.message);
+        }
+    }
+
+    toggleStep(voice, step) {
+        const steps = this.patterns[this.editing].steps[voice];
+        steps[step] = (steps[step] + 1) % 3;
+        this.renderGrid();
+        this.app.session.markDirty();
+    }
+
+    setLength(length) {
+        this.patterns[this.editing].length = Math.max(1, Math.min(SEQ_MAX_STEPS, Math.round(length) || SEQ_DEFAULT_STEPS));
+        this.render();
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Chain from text such as "A A B C"; unknown letters are dropped.
+     */
+    setChain(text) {
+        const chain = text.toUpperCase().split('')
+            .map(ch => ch.charCodeAt(0) - 65)
+            .filter(i => i >= 0 && i < SEQ_PATTERN_COUNT);
+        this.chain = chain.length ? chain : [this.editing];
+        this.render();
+        this.app.session.markDirty();
+    }
+
+    getState() {
+        return {
+            patterns: this.patterns.map(p => ({ length: p.length, steps: JSON.parse(JSON.stringify(p.steps)) })),
+            chain: [...this.chain],
+            swing: this.swing
+        };
+    }
+
+    setState(state) {
+        if (!state) return;
+        this.patterns = this.patterns.map((_, i) => {
+            const stored = (state.patterns || [])[i];
+            const pattern = this.emptyPattern(stored ? stored.length : SEQ_DEFAULT_STEPS);
+            if (stored) DRUM_VOICES.forEach(v => {
+                (stored.steps[v.id] || []).forEach((value, s) => { if (s < SEQ_MAX_STEPS) pattern.steps[v.id][s] = value; });
+            });
+            return pattern;
+        });
+        this.chain = (state.chain || [0]).filter(i => i < SEQ_PATTERN_COUNT);
+        if (!this.chain.length) this.chain = [0];
+        this.swing = state.swing || 50;
+        this.render();
+    }
+
+    bindUI() {
+        this.ui = {
+            play: document.getElementById('seq-play'),
+            print: document.getElementById('seq-print'),
+            clear: document.getElementById('seq-clear'),
+            swing: document.getElementById('seq-swing'),
+            swingVal: document.getElementById('seq-swing-val'),
+            patterns: document.getElementById('seq-patterns'),
+            length: document.getElementById('seq-length'),
+            chain: document.getElementById('seq-chain'),
+            grid: document.getElementById('seq-grid'),
+            button: document.getElementById('btn-seq')
+        };
+        if (!this.ui.grid) return;
+
+        for (let i = 0; i < SEQ_PATTERN_COUNT; i++) {
+            const btn = document.createElement('button');
+            btn.className = 'panel-btn';
+            btn.innerText = String.fromCharCode(65 + i);
+            btn.onclick = () => {
+                this.editing = i;
+                this.render();
+            };
+            this.ui.patterns.appendChild(btn);
+        }
+
+        this.ui.play.onclick = () => (this.playing ? this.stop() : this.start());
+        this.ui.print.onclick = () => this.print();
+        this.ui.clear.onclick = () => {
+            this.patterns[this.editing] = this.emptyPattern(this.patterns[this.editing].length);
+            this.render();
+            this.app.session.markDirty();
+        };
+        this.ui.swing.oninput = (e) => {
+            this.swing = Number(e.target.value);
+            this.ui.swingVal.innerText = `${this.swing}%`;
+            this.app.session.markDirty();
+        };
+        this.ui.length.onchange = (e) => this.setLength(Number(e.target.value));
+        this.ui.chain.onchange = (e) => this.setChain(e.target.value);
+
+        this.render();
+    }
+
+    render() {
+        if (!this.ui.grid) return;
+        [...this.ui.patterns.children].forEach((btn, i) => {
+            btn.classList.toggle('active', i === this.editing);
+            btn.classList.toggle('in-chain', this.chain.includes(i));
+        });
+        this.ui.length.value = this.patterns[this.editing].length;
+        this.ui.chain.value = this.chain.map(i => String.fromCharCode(65 + i)).join(' ');
+        this.ui.swing.value = this.swing;
+        this.ui.swingVal.innerText = `${this.swing}%`;
+        this.renderGrid();
+        this.updateUI();
+    }
+
+    renderGrid() {
+        const pattern = this.patterns[this.editing];
+        const kit = this.app.synth.kit;
+        this.ui.grid.innerHTML = '';
+        DRUM_VOICES.forEach(v => {
+            const row = document.createElement('div');
+            row.className = 'seq-row';
+
+            const label = document.createElement('span');
+            label.className = 'seq-label';
+            label.innerText = v.label;
+            label.title = 'Click to audition';
+            label.onclick = () => this.app.synth.triggerDrumVoice(v.id, this.app.audio.ctx.currentTime);
+            row.appendChild(label);
+
+            const knobs = document.createElement('div');
+            knobs.className = 'seq-knobs';
+            [['tune', -12, 12, 1], ['decay', 0.1, 3, 0.05], ['level', 0, 1, 0.01]].forEach(([key, min, max, step]) => {
+                const input = document.createElement('input');
+                input.type = 'range';
+                Object.assign(input, { min, max, step, title: key.toUpperCase() });
+                input.value = kit.params[v.id][key];
+                input.oninput = () => {
+                    kit.setParam(v.id, key, Number(input.value));
+                    this.app.session.markDirty();
+                };
+                knobs.appendChild(input);
+            });
+            row.appendChild(knobs);
+
+            const steps = document.createElement('div');
+            steps.className = 'seq-steps';
+            steps.style.gridTemplateColumns = `repeat(${pattern.length}, 1fr)`;
+            for (let s = 0; s < pattern.length; s++) {
+                const btn = document.createElement('button');
+                const value = pattern.steps[v.id][s];
+                btn.className = 'seq-step';
+                btn.dataset.step = s;
+                btn.classList.toggle('beat-start', s % this.stepsPerBeat === 0);
+                btn.classList.toggle('on', value === 1);
+                btn.classList.toggle('accent', value === 2);
+                btn.title = 'Click: on / accent / off';
+                btn.onclick = () => this.toggleStep(v.id, s);
+                steps.appendChild(btn);
+            }
+            row.appendChild(steps);
+            this.ui.grid.appendChild(row);
+        });
+    }
+
+    showStep(index, step) {
+        if (!this.ui.grid) return;
+        this.ui.grid.querySelectorAll('.seq-step.current').forEach(el => el.classList.remove('current'));
+        if (index !== this.editing || index === null) return;
+        this.ui.grid.querySelectorAll(`.seq-step[data-step="${step}"]`).forEach(el => el.classList.add('current'));
+    }
+
+    updateUI() {
+        if (!this.ui.play) return;
+        this.ui.play.innerText = this.playing ? 'STOP' : 'PLAY';
+        this.ui.play.classList.toggle('active', this.playing);
+        if (this.ui.button) this.ui.button.classList.toggle('text-upsideDown-red', this.playing);
+    }
+}
+
+class InputManager {
+    constructor(app) {
+        this.app = app;
+        this.midiAccess = null;
+        // mappings: device name -> { 'cc:7' | 'note:60': target id }
+        // ports: 'input:Name' / 'output:Name' -> { enabled, channel } (channel 0 = omni)
+        this.settings = {
+            clockIn: false, clockOut: false, mappings: {}, ports: {},
+            noteOutput: '', noteOutChannel: 1, localSynth: true
+        };
+        this.learning = null;  // Target id waiting for a control to be moved
+        this.onLearn = null;   // fn(device, key, target) once a control is learned
+        this.ccValues = {};    // Last value per device/CC, for trigger edges
+        this.clockTicks = [];  // Recent incoming clock timestamps (ms)
+        this.clockStartPending = false;
+        this.heldNotes = new Map(); // Input name -> notes it is holding, released on unplug
+        this.sentNotes = new Set(); // Notes on at the note output
+        this.onPortsChange = null;  // fn() after hot-plug or a settings change
+        this.loadSettings();
+    }
+
+    async init() {
+        // MIDI Initialization
+        if (navigator.requestMIDIAccess) {
+            try {
+                this.midiAccess = await navigator.requestMIDIAccess();
+                
+                this.midiAccess.inputs.forEach(input => {
+                    input.onmidimessage = (m) => this.onMIDIMessage(m, input);
+                });
+                
+                this.midiAccess.onstatechange = (e) => this.onPortStateChange(e.port);
+                this.updateIndicator('midi', this.hasActiveInput());
+            } catch(e) {
+                console.log("MIDI Fail", e);
+                this.updateIndicator('midi', false);
+            }
+        }
+
+        // MIDI clock out follows the transport
+        const metronome = this.app.metronome;
+        metronome.onBeat((beat, time) => this.sendClockTicks(time));
+        metronome.onTransport((running, time) => {
+            if (this.settings.clockOut) this.sendClock(running ? 0xFA : 0xFC, time);
+        });
+    }
+
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(MIDI_SETTINGS_KEY));
+            if (stored) this.settings = { ...this.settings, ...stored };
+        } catch (e) {
+            console.error("MIDI Settings Load Failed:", e);
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(MIDI_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.error("MIDI Settings Save Failed:", e);
+        }
+    }
+
+    /**
+     * Update UI indicators for Hardware/Features
+     */
+    updateIndicator(type, active) {
+        const el = document.getElementById(`ind-${type}`);
+        if (!el) return;
+        if (active) {
+            el.classList.remove('bg-gray-800', 'text-gray-600');
+            el.classList.add('bg-upsideDown-red', 'text-white');
+            
+            el.innerText = 'MIDI ON';
+            el.style.textShadow = "0 0 5px currentColor";
+        } else {
+             el.className = "px-4 py-1 rounded-full text-xs font-bold tracking-widest bg-gray-800 text-gray-600 transition-colors";
+             el.innerText = 'NO MIDI';
+             el.style.textShadow = "none";
+        }
+    }
+
+    ports(type) {
+        if (!this.midiAccess) return [];
+        return [...(type === 'input' ? this.midiAccess.inputs : this.midiAccess.outputs).values()];
+    }
+
+    portSettings(port) {
+        return { enabled: true, channel: 0, ...this.settings.ports[`${port.type}:${port.name}`] };
+    }
+
+    setPortSetting(port, key, value) {
+        const id = `${port.type}:${port.name}`;
+        this.settings.ports[id] = { ...this.portSettings(port), [key]: value };
+        if (port.type === 'input' && key === 'enabled' && !value) this.releaseHeldNotes(port.name);
+        if (port.type === 'output' && key === 'enabled' && !value && port.name === this.settings.noteOutput) this.allNotesOff();
+        this.saveSettings();
+        this.updateIndicator('midi', this.hasActiveInput());
+    }
+
+    hasActiveInput() {
+        return this.ports('input').some(p => p.state === 'connected' && this.portSettings(p).enabled);
+    }
+
+    /**
+     * Hot-plug: listen to new inputs, and let go of anything an unplugged device was holding.
+     */
+    onPortStateChange(port) {
+        if (port.type === 'input') {
+            if (port.state === 'connected') port.onmidimessage = (m) => this.onMIDIMessage(m, port);
+            else this.releaseHeldNotes(port.name);
+        } else if (port.state === 'disconnected' && port.name === this.settings.noteOutput) {
+            this.sentNotes.clear();
+        }
+        this.updateIndicator('midi', this.hasActiveInput());
+        if (this.onPortsChange) this.onPortsChange();
+    }
+
+    releaseHeldNotes(device) {
+        const notes = this.heldNotes.get(device);
+        if (!notes) return;
+        notes.forEach(note => {
+            if (!this.app.arp.noteOff(note)) this.app.synth.stopNote(note);
+        });
+        this.heldNotes.delete(device);
+        this.app.synth.setSustain(false);
+        this.app.synth.setPitchBend(0);
+    }
+
+    // Web MIDI timestamps are performance.now() milliseconds
+    toAudioTime(stamp) {
+        const ctx = this.app.audio.ctx;
+        return ctx.currentTime + (stamp - performance.now()) / 1000;
+    }
+
+    toMidiTime(time) {
+        return performance.now() + (time - this.app.audio.ctx.currentTime) * 1000;
+    }
+
+    onMIDIMessage(msg, input) {
+        const [status, data1 = 0, data2 = 0] = msg.data;
+        if (status >= 0xF8) {
+            this.onRealtime(status, msg.timeStamp || performance.now());
+            return;
+        }
+
+        const cmd = status & 0xF0;
+        const device = input ? input.name : '';
+        if (input) {
+            const port = this.portSettings(input);
+            if (!port.enabled) return;
+            if (port.channel && status < 0xF0 && (status & 0x0F) + 1 !== port.channel) return;
+        }
+        const isNoteOn = cmd === 0x90 && data2 > 0;
+        const isNoteOff = cmd === 0x80 || (cmd === 0x90 && data2 === 0);
+        const key = cmd === 0xB0 ? `cc:${data1}` : (isNoteOn || isNoteOff) ? `note:${data1}` : null;
+
+        if (this.learning && key && (isNoteOn || cmd === 0xB0)) {
+            this.finishLearn(device, key);
+            return;
+        }
+
+        const mapped = key && (this.settings.mappings[device] || {})[key];
+        if (mapped) {
+            if (isNoteOff) return;
+            const prev = this.ccValues[`${device}/${key}`] || 0;
+            if (cmd === 0xB0) this.ccValues[`${device}/${key}`] = data2;
+            const target = MIDI_LEARN_TARGETS.find(t => t.id === mapped);
+            if (!target) return;
+            if (!target.trigger) this.applyTarget(mapped, data2);
+            else if (isNoteOn || (data2 >= 64 && prev < 64)) this.applyTarget(mapped, data2);
+            return;
+        }
+
+        if (isNoteOn) {
+            const note = this.midiNoteToName(data1);
+            if (!this.heldNotes.has(device)) this.heldNotes.set(device, new Set());
+            this.heldNotes.get(device).add(note);
+            if (!this.app.arp.noteOn(note, data2 / 127)) this.app.synth.playNote(note, data2 / 127);
+        } else if (isNoteOff) {
+            const note = this.midiNoteToName(data1);
+            if (this.heldNotes.has(device)) this.heldNotes.get(device).delete(note);
+            if (!this.app.arp.noteOff(note)) this.app.synth.stopNote(note);
+        } else if (cmd === 0xE0) {
+            // 14-bit, centre 8192
+            const raw = ((data2 << 7) | data1) - 8192;
+            this.app.synth.setPitchBend(raw / (raw < 0 ? 8192 : 8191));
+        } else if (cmd === 0xB0) {
+            const prev = this.ccValues[`${device}/${key}`] || 0;
+            this.ccValues[`${device}/${key}`] = data2;
+            if (data1 === MIDI_CC_MODWHEEL) {
+                this.app.synth.setModulation(data2 / 127);
+            } else if (data1 === MIDI_CC_SUSTAIN) {
+                this.app.synth.setSustain(data2 >= 64);
+            } else if (MIDI_CC_ACTIONS[data1] && data2 >= 64 && prev < 64) {
+                this.app.looper.perform(MIDI_CC_ACTIONS[data1]);
+            }
+        } else if (cmd === 0xC0) {
+            // Program change N selects track N+1
+            this.app.selectSlot(data1);
+        }
+    }
+
+    midiNoteToName(midi) {
+        return midiToNote(midi);
+    }
+
+    noteNameToMidi(note) {
+        return noteToMidi(note);
+    }
+
+    noteOutputPort() {
+        const name = this.settings.noteOutput;
+        if (!name) return null;
+        return this.ports('output').find(p => p.name === name && p.state === 'connected' && this.portSettings(p).enabled) || null;
+    }
+
+    /**
+     * Mirror a locally played note to the selected MIDI output.
+     */
+    sendNote(note, on, velocity = 1, time = null) {
+        const port = this.noteOutputPort();
+        const midi = this.noteNameToMidi(note);
+        if (!port || midi === null) return;
+        if (!on && !this.sentNotes.has(note)) return;
+        const channel = this.settings.noteOutChannel - 1;
+        // Scheduled notes (arpeggiator) go out timestamped
+        const stamp = time === null ? undefined : this.toMidiTime(time);
+        if (on) {
+            port.send([0x90 | channel, midi, Math.max(1, Math.round(velocity * 127))], stamp);
+            this.sentNotes.add(note);
+        } else {
+            port.send([0x80 | channel, midi, 0], stamp);
+            this.sentNotes.delete(note);
+        }
+    }
+
+    allNotesOff() {
+        [...this.sentNotes].forEach(note => this.sendNote(note, false));
+    }
+
+    setNoteOutput(name, channel) {
+        this.allNotesOff();
+        this.settings.noteOutput = name;
+        this.settings.noteOutChannel = channel;
+        this.saveSettings();
+    }
+
+    /**
+     * Drive a learned target with a 0-127 value.
+     */
+    applyTarget(id, value) {
+        const [kind, name] = id.split(':');
+        const amount = value / 127;
+        const app = this.app;
+
+        if (kind === 'action') {
+            app.looper.perform(name);
+        } else if (kind === 'select') {
+            app.selectSlot(Number(name));
+        } else if (kind === 'scene') {
+            const scene = app.scenes.scenes[Number(name)];
+            if (scene) app.scenes.launch(scene.id);
+        } else if (kind === 'song') {
+            app.scenes.toggleSong();
+        } else if (kind === 'mix') {
+            const slot = app.looper.slots[app.selectedSlot];
+            if (!slot) return;
+            if (name === 'volume') slot.setVolume(amount);
+            else if (name === 'pan') slot.setPan(amount * 2 - 1);
+            else slot.setSend(name, amount);
+        } else if (kind === 'master') {
+            app.setMasterVolume(amount);
+        } else if (kind === 'synth') {
+            const def = SYNTH_PARAMS.find(p => p.key === name);
+            if (!def) return;
+            const raw = def.min + amount * (def.max - def.min);
+            app.synthPanel.setParam(name, Math.round(raw / def.step) * def.step);
+        }
+    }
+
+    /**
+     * Wait for the next note or CC from any device and map it to `target`.
+     */
+    startLearn(target) {
+        this.learning = target;
+    }
+
+    cancelLearn() {
+        this.learning = null;
+    }
+
+    finishLearn(device, key) {
+        const target = this.learning;
+        this.learning = null;
+        const map = this.settings.mappings[device] || (this.settings.mappings[device] = {});
+        map[key] = target;
+        this.saveSettings();
+        if (this.onLearn) this.onLearn(device, key, target);
+    }
+
+    removeMapping(device, key) {
+        const map = this.settings.mappings[device];
+        if (!map) return;
+        delete map[key];
+        if (!Object.keys(map).length) delete this.settings.mappings[device];
+        this.saveSettings();
+    }
+
+    /**
+     * Follow an external clock, or drive one. Only one direction at a time so
+     * a looped-back port can't feed our own clock back in.
+     */
+    setClockSync(direction, on) {
+        this.settings.clockIn = direction === 'in' ? on : this.settings.clockIn && !on;
+        this.settings.clockOut = direction === 'out' ? on : this.settings.clockOut && !on;
+        this.clockTicks = [];
+        this.saveSettings();
+    }
+
+    onRealtime(status, stamp) {
+        if (!this.settings.clockIn) return;
+        const metronome = this.app.metronome;
+
+        if (status === 0xFA || status === 0xFB) {
+            // Start / continue: the next tick is the downbeat
+            this.clockStartPending = true;
+            this.clockTicks = [];
+        } else if (status === 0xFC) {
+            this.clockStartPending = false;
+            metronome.stop();
+        } else if (status === 0xF8) {
+            if (this.clockStartPending) {
+                this.clockStartPending = false;
+                metronome.start(Math.max(this.app.audio.ctx.currentTime, this.toAudioTime(stamp)));
+            }
+            this.trackClockTempo(stamp);
+        }
+    }
+
+    /**
+     * Average the last two beats of incoming ticks into a tempo.
+     */
+    trackClockTempo(stamp) {
+        this.clockTicks.push(stamp);
+        if (this.clockTicks.length > MIDI_CLOCK_PPQ * 2 + 1) this.clockTicks.shift();
+        const intervals = this.clockTicks.length - 1;
+        if (intervals < MIDI_CLOCK_PPQ) return;
+
+        const msPerTick = (stamp - this.clockTicks[0]) / intervals;
+        const bpm = Math.round(60000 / (msPerTick * MIDI_CLOCK_PPQ) * 10) / 10;
+        const metronome = this.app.metronome;
+        if (Math.abs(bpm - metronome.bpm) < 0.2) return;
+        metronome.setBpm(bpm);
+        const inputBpm = document.getElementById('input-bpm');
+        if (inputBpm) inputBpm.value = metronome.bpm;
+    }
+
+    clockOutputs() {
+        return this.ports('output').filter(p => p.state === 'connected' && this.portSettings(p).enabled);
+    }
+
+    sendClock(status, time) {
+        const stamp = this.toMidiTime(time);
+        this.clockOutputs().forEach(output => output.send([status], stamp));
+    }
+
+    /**
+     * Queue the 24 clock ticks of one beat starting at `time`.
+     */
+    sendClockTicks(time) {
+        if (!this.settings.clockOut) return;
+        const tick = this.app.metronome.secondsPerBeat / MIDI_CLOCK_PPQ;
+        for (let i = 0; i < MIDI_CLOCK_PPQ; i++) this.sendClock(0xF8, time + i * tick);
+    }
+}
+
+/**
+ * MIDI panel: clock sync and learned control mappings.
+ */
+class MidiPanel {
+    constructor(app) {
+        this.app = app;
+        this.bindUI();
+    }
+
+    get inputs() { return this.app.inputs; }
+
+    bindUI() {
+        this.ui = {
+            inputs: document.getElementById('midi-inputs'),
+            outputs: document.getElementById('midi-outputs'),
+            noteOut: document.getElementById('midi-note-out'),
+            noteChannel: document.getElementById('midi-note-channel'),
+            local: document.getElementById('midi-local'),
+            clockIn: document.getElementById('midi-clock-in'),
+            clockOut: document.getElementById('midi-clock-out'),
+            target: document.getElementById('midi-learn-target'),
+            learn: document.getElementById('midi-learn'),
+            list: document.getElementById('midi-map-list')
+        };
+        if (!this.ui.list) return;
+
+        MIDI_LEARN_TARGETS.forEach(t => {
+            const o = document.createElement('option');
+            o.value = t.id;
+            o.innerText = t.label;
+            this.ui.target.appendChild(o);
+        });
+
+        this.ui.clockIn.onclick = () => {
+            this.inputs.setClockSync('in', !this.inputs.settings.clockIn);
+            this.render();
+        };
+        this.ui.clockOut.onclick = () => {
+            this.inputs.setClockSync('out', !this.inputs.settings.clockOut);
+            this.render();
+        };
+        this.ui.learn.onclick = () => {
+            if (this.inputs.learning) this.inputs.cancelLearn();
+            else this.inputs.startLearn(this.ui.target.value);
+            this.render();
+        };
+        this.inputs.onLearn = () => this.render();
+        this.inputs.onPortsChange = () => this.render();
+
+        for (let ch = 1; ch <= 16; ch++) this.ui.noteChannel.appendChild(this.channelOption(ch));
+        this.ui.noteOut.onchange = () => this.inputs.setNoteOutput(this.ui.noteOut.value, Number(this.ui.noteChannel.value));
+        this.ui.noteChannel.onchange = this.ui.noteOut.onchange;
+        this.ui.local.onclick = () => {
+            this.inputs.allNotesOff();
+            this.inputs.settings.localSynth = !this.inputs.settings.localSynth;
+            this.inputs.saveSettings();
+            this.render();
+        };
+
+        this.render();
+    }
+
+    channelOption(ch) {
+        const o = document.createElement('option');
+        o.value = ch;
+        o.innerText = ch ? `CH ${ch}` : 'OMNI';
+        return o;
+    }
+
+    renderPorts(type, container) {
+        container.innerHTML = '';
+        const ports = this.inputs.ports(type);
+        ports.forEach(port => {
+            const settings = this.inputs.portSettings(port);
+            const row = document.createElement('div');
+            row.className = 'midi-port-row';
+            row.classList.toggle('disconnected', port.state !== 'connected');
+
+            const name = document.createElement('span');
+            name.innerText = port.name;
+            name.title = port.manufacturer || port.name;
+            row.appendChild(name);
+
+            if (type === 'input') {
+                const channel = document.createElement('select');
+                channel.className = 'panel-select';
+                for (let ch = 0; ch <= 16; ch++) channel.appendChild(this.channelOption(ch));
+                channel.value = settings.channel;
+                channel.onchange = () => this.inputs.setPortSetting(port, 'channel', Number(channel.value));
+                row.appendChild(channel);
+            } else {
+                row.appendChild(document.createElement('span'));
+            }
+
+            const toggle = document.createElement('button');
+            toggle.className = 'panel-btn';
+            toggle.classList.toggle('active', settings.enabled);
+            toggle.innerText = settings.enabled ? 'ON' : 'OFF';
+            toggle.onclick = () => {
+                this.inputs.setPortSetting(port, 'enabled', !settings.enabled);
+                this.render();
+            };
+            row.appendChild(toggle);
+            container.appendChild(row);
+        });
+        if (!ports.length) container.innerHTML = `<div class="text-gray-600 text-xs">No MIDI ${type}s found.</div>`;
+    }
+
+    describeKey(key) {
+        const [type, num] = key.split(':');
+        return type === 'cc' ? `CC ${num}` : `NOTE ${this.inputs.midiNoteToName(Number(num))}`;
+    }
+
+    render() {
+        const settings = this.inputs.settings;
+        this.renderPorts('input', this.ui.inputs);
+        this.renderPorts('output', this.ui.outputs);
+
+        this.ui.noteOut.innerHTML = '<option value="">NONE</option>';
+        this.inputs.ports('output').forEach(port => {
+            const o = document.createElement('option');
+            o.value = port.name;
+            o.innerText = port.name;
+            this.ui.noteOut.appendChild(o);
+        });
+        // Keep a remembered but unplugged output selectable
+        if (settings.noteOutput && !this.inputs.ports('output').some(p => p.name === settings.noteOutput)) {
+            const o = document.createElement('option');
+            o.value = settings.noteOutput;
+            o.innerText = `${settings.noteOutput} (unplugged)`;
+            this.ui.noteOut.appendChild(o);
+        }
+        this.ui.noteOut.value = settings.noteOutput;
+        this.ui.noteChannel.value = settings.noteOutChannel;
+        this.ui.local.classList.toggle('active', settings.localSynth);
+
+        this.ui.clockIn.classList.toggle('active', settings.clockIn);
+        this.ui.clockOut.classList.toggle('active', settings.clockOut);
+        this.ui.learn.classList.toggle('active', !!this.inputs.learning);
+        this.ui.learn.innerText = this.inputs.learning ? 'MOVE A CONTROL...' : 'LEARN';
+
+        this.ui.list.innerHTML = '';
+        Object.entries(settings.mappings).forEach(([device, map]) => {
+            const head = document.createElement('div');
+            head.className = 'panel-section';
+            head.innerText = device || 'UNKNOWN DEVICE';
+            this.ui.list.appendChild(head);
+
+            Object.entries(map).forEach(([key, id]) => {
+                const target = MIDI_LEARN_TARGETS.find(t => t.id === id);
+                const row = document.createElement('div');
+                row.className = 'midi-map-row';
+                row.innerHTML = `<span>${this.describeKey(key)}</span><span>${target ? target.label : id}</span>`;
+                const remove = document.createElement('button');
+                remove.className = 'panel-btn';
+                remove.innerText = '×';
+                remove.title = 'Remove mapping';
+                remove.onclick = () => {
+                    this.inputs.removeMapping(device, key);
+                    this.render();
+                };
+                row.appendChild(remove);
+                this.ui.list.appendChild(row);
+            });
+        });
+        if (!this.ui.list.children.length) {
+            this.ui.list.innerHTML = '<div class="text-gray-600 text-xs">No learned controls yet.</div>';
+        }
+    }
+}
+
+class LoopStation {
+    constructor(app) {
+        this.app = app;
+        this.slots = [];
+        this.trackCounter = 0; // Numbers default track names/colors, never reused
+        for (let i = 0; i < DEFAULT_TRACK_COUNT; i++) this.addSlot();
+        this.renderLoop();
+        // Set by the first loop; every later loop is a whole multiple of it
+        this.masterFrames = 0;
+        this.silenced = false; // Every loop muted, e.g. while tuning
+    }
+
+    get masterLength() {
+        return this.masterFrames / this.app.audio.ctx.sampleRate;
+    }
+
+    /**
+     * Append a new track. opts may carry a name and color.
+     */
+    addSlot(opts = {}) {
+        if (this.slots.length >= MAX_TRACKS) return null;
+        const n = this.trackCounter++;
+        const slot = new LoopSlot(this.slots.length, this.app, {
+            uid: opts.uid,
+            name: opts.name || `CH ${n + 1}`,
+            color: opts.color || TRACK_COLORS[n % TRACK_COLORS.length]
+        });
+        this.slots.push(slot);
+        this.updateMix();
+        this.updateAddButton();
+        this.app.session.markDirty();
+        return slot;
+    }
+
+    /**
+     * Swap every track for the given settings list (session restore/import).
+     */
+    replaceSlots(tracks, buffers = {}) {
+        this.slots.forEach(s => s.destroy());
+        this.slots = [];
+        this.masterFrames = 0;
+        if (!tracks.length) tracks = [{}];
+        tracks.forEach(t => {
+            const slot = this.addSlot(t);
+            if (!slot) return;
+            slot.applySettings(t);
+            if (buffers[t.uid]) slot.loadBuffer(buffers[t.uid]);
+        });
+        this.updateMix();
+    }
+
+    removeSlot(idx) {
+        if (this.slots.length <= 1 || !this.slots[idx]) return;
+        const [slot] = this.slots.splice(idx, 1);
+        this.app.session.markAudioDirty(slot);
+        slot.destroy();
+        this.slots.forEach((s, i) => { s.index = i; });
+        this.updateMix();
+        this.checkEmpty();
+        this.updateAddButton();
+
+        const selected = this.app.selectedSlot;
+        this.app.selectSlot(selected > idx ? selected - 1 : Math.min(selected, this.slots.length - 1));
+    }
+
+    updateAddButton() {
+        const btn = document.getElementById('btn-add-track');
+        if (btn) btn.classList.toggle('hidden', this.slots.length >= MAX_TRACKS);
+    }
+
+    toggleRecord(idx) {
+        this.finishOthers(idx);
+        this.slots[idx].toggle();
+    }
+
+    toggleOverdub(idx) {
+        this.finishOthers(idx);
+        this.slots[idx].toggleOverdub();
+    }
+
+    /**
+     * Close any take running on a slot other than idx.
+     */
+    finishOthers(idx) {
+        this.slots.forEach((s, i) => { 
+            if (i === idx) return;
+            if (s.state === 'recording' || s.state === 'armed') s.stopRecording(); 
+            else if (s.state === 'overdubbing') s.stopOverdub();
+        });
+    }
+
+    /**
+     * Run a named looper verb (keyboard, MIDI and slot card all go through here).
+     */
+    perform(action, idx = this.app.selectedSlot) {
+        const slot = this.slots[idx];
+        if (!slot) return;
+        switch (action) {
+            case 'record': this.toggleRecord(idx); break;
+            case 'overdub': this.toggleOverdub(idx); break;
+            case 'undo': slot.undo(); break;
+            case 'redo': slot.redo(); break;
+            case 'multiply': slot.multiply(slot.multiplyFactor); break;
+            case 'multiply-factor': slot.cycleMultiplyFactor(); break;
+            case 'insert': slot.insert(1); break;
+            case 'trim': slot.applyTrim(); break;
+            case 'clear': slot.clear(); break;
+            case 'download': slot.download(this.app.exportBitDepth); break;
+            case 'notes': this.app.clipPanel.open(slot); break;
+            case 'import': slot.ui.file.click(); break;
+            case 'mute': slot.setMuted(!slot.muted); break;
+            case 'solo': slot.setSoloed(!slot.soloed); break;
+            case 'reverse': slot.setReversed(!slot.reversed); break;
+            case 'speed': slot.cycleRate(); break;
+            case 'play': this.playAll(); break;
+            case 'stop': this.stopAll(); break;
+            case 'select-next': this.app.selectSlot((idx + 1) % this.slots.length); break;
+            case 'select-prev': this.app.selectSlot((idx - 1 + this.slots.length) % this.slots.length); break;
+            case 'add-track': {
+                const added = this.addSlot();
+                if (added) this.app.selectSlot(added.index);
+                break;
+            }
+            case 'remove-track': this.removeSlot(idx); break;
+            default: console.warn("Unknown looper action:", action);
+        }
+    }
+
+    /**
+     * Loop length in frames for a take that started at startFrame and
+     * was stopped at `time`: the next bar for the first loop, the next
+     * whole multiple of the master loop afterwards.
+     */
+    quantizeLength(startFrame, time) {
+        const recorder = this.app.audio.recorder;
+        const elapsed = recorder.toFrame(time) - startFrame;
+        if (this.masterFrames) {
+            const cycles = Math.max(1, Math.ceil(elapsed / this.masterFrames));
+            return cycles * this.masterFrames;
+        }
+        const metronome = this.app.metronome;
+        const startTime = startFrame / this.app.audio.ctx.sampleRate;
+        // Free-length first loop: close it right here, the tempo follows it
+        if (metronome.settings.followLoop) return Math.max(elapsed, recorder.toFrame(FREE_LOOP_MIN));
+        let end = metronome.nextBarTime(time);
+        if (end <= startTime) end = startTime + metronome.barDuration;
+        return recorder.toFrame(end) - startFrame;
+    }
+
+    /**
+     * Set the tempo from a free-length loop so it spans a whole number of
+     * bars, with bar 1 on the loop head.
+     */
+    fitTempo(slot, startTime) {
+        const metronome = this.app.metronome;
+        const channels = [];
+        for (let c = 0; c < slot.buffer.numberOfChannels; c++) channels.push(slot.buffer.getChannelData(c));
+        const estimate = estimateLoopTempo(channels, slot.buffer.sampleRate, {
+            beatsPerBar: metronome.beatsPerBar,
+            preferBpm: metronome.bpm
+        });
+        if (!estimate) return;
+        metronome.retime(estimate.bpm, Math.round(metronome.beatAtTime(startTime)), startTime);
+        this.app.syncControls();
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Redraw every waveform and playhead once per animation frame.
+     */
+    renderLoop() {
+        const ctx = this.app.audio.ctx;
+        const draw = () => {
+            requestAnimationFrame(draw);
+            // What is audible now, not what is being rendered
+            const time = ctx.currentTime - (ctx.outputLatency || ctx.baseLatency || 0);
+            this.slots.forEach(s => s.view.render(time));
+        };
+        draw();
+    }
+
+    /**
+     * Anchor of a loop that is currently playing, so another loop can join
+     * it head-to-head. null when nothing plays.
+     */
+    referenceAnchor(except = null) {
+        const playing = this.slots.find(s => s !== except && s.state === 'playing');
+        return playing ? playing.anchor : null;
+    }
+
+    /**
+     * Apply mute/solo across all tracks: any solo silences every
+     * non-soloed track, and mute always wins.
+     */
+    updateMix() {
+        const anySolo = this.slots.some(s => s.soloed);
+        this.slots.forEach(s => s.applyAudible(!this.silenced && !s.muted && (!anySolo || s.soloed)));
+    }
+
+    setSilenced(on) {
+        this.silenced = on;
+        this.updateMix();
+    }
+
+    /**
+     * Render every audible loop, with its fader, pan and sends, through an
+     * OfflineAudioContext into a stereo WAV `cycles` master loops long.
+     */
+    async bounce(cycles = 4, bitDepth = 16) {
+        const audio = this.app.audio;
+        const anySolo = this.slots.some(s => s.soloed);
+        const audible = this.slots.filter(s => s.buffer && !s.muted && (!anySolo || s.soloed));
+        if (!audible.length || !this.masterFrames) {
+            alert("Nothing to bounce yet!");
+            return;
+        }
+
+        const sampleRate = audio.ctx.sampleRate;
+        const offline = new OfflineAudioContext(2, this.masterFrames * cycles, sampleRate);
+        const master = offline.createGain();
+        master.gain.value = audio.masterGain.gain.value;
+        await InsertEffect.prepare(offline);
+        const masterFx = new EffectsRack(offline, 'master');
+        masterFx.setTempo(this.app.metronome.secondsPerBeat);
+        masterFx.setState(audio.masterFx.getState());
+        master.connect(masterFx.input);
+        if (audio.limiterOn) {
+            const limiter = createLimiter(offline);
+            masterFx.output.connect(limiter).connect(offline.destination);
+        } else {
+            masterFx.output.connect(offline.destination);
+        }
+        const { reverbBus, delayBus } = buildSendBuses(offline, master);
+        // Slots voicing their note clips bounce what they play, not their audio
+        const buffers = await Promise.all(audible.map(s => s.playNotes ? this.app.clipPlayer.render(s) : s.playbackBuffer));
+
+        audible.forEach((slot, i) => {
+            const src = offline.createBufferSource();
+            src.buffer = buffers[i];
+            src.loop = true;
+            src.playbackRate.value = slot.rate;
+
+            const gain = offline.createGain();
+            gain.gain.value = slot.volume;
+            const panner = offline.createStereoPanner();
+            panner.pan.value = slot.pan;
+            src.connect(gain).connect(panner).connect(master);
+
+            const reverbSend = offline.createGain();
+            reverbSend.gain.value = slot.sends.reverb;
+            panner.connect(reverbSend).connect(reverbBus);
+            const delaySend = offline.createGain();
+            delaySend.gain.value = slot.sends.delay;
+            panner.connect(delaySend).connect(delayBus);
+
+            // Loop heads line up at 0, shifted by the track's nudge as in positionAt()
+            const d = buffers[i].duration;
+            src.start(0, ((-slot.nudge / 1000 * slot.rate) % d + d) % d);
+        });
+
+        const rendered = await offline.startRendering();
+        const wav = encodeWav([rendered.getChannelData(0), rendered.getChannelData(1)], sampleRate, bitDepth);
+        downloadBlob(new Blob([wav], { type: 'audio/wav' }), `wooperlooper-bounce-${cycles}x.wav`);
+    }
+
+    /**
+     * Forget the master length once every slot is empty again.
+     */
+    checkEmpty() {
+        if (this.slots.every(s => s.state === 'empty')) this.masterFrames = 0;
+    }
+    
+    stopAll() {
+        this.app.scenes.stopSong();
+        this.slots.forEach(s => s.stop());
+        if (!this.app.metronome.isPlaying) this.app.metronome.stop();
+    }
+
+    /**
+     * Restart every loop from its head on the next bar line.
+     */
+    playAll() {
+        const when = this.app.metronome.nextBarTime();
+        this.slots.forEach(s => {
+            if (!s.buffer || s.isCapturing) return;
+            s.anchor = when;
+            s.play(when);
+        });
+    }
+}
+
+/**
+ * Scenes snapshot which loops play and at what level; launching one switches
+ * on the next bar. The song is an ordered list of scenes with repeat counts.
+ */
+class SceneManager {
+    constructor(app) {
+        this.app = app;
+        this.scenes = [];     // { id, name, slots: { uid: { playing, volume } } }
+        this.song = [];       // { scene: id, repeats }
+        this.songLoop = false;
+        this.songPlaying = false;
+        this.songIndex = -1;  // Song entry launched last
+        this.current = null;  // Scene id playing (or queued)
+        this.queued = null;   // { id, when } until the launch lands
+        this.nextId = 1;
+        this.launchTimer = null;
+        this.songTimer = null;
+
+        app.metronome.onTransport(running => { if (!running) this.stopSong(); });
+        this.bindUI();
+    }
+
+    get(id) {
+        return this.scenes.find(s => s.id === id);
+    }
+
+    /**
+     * Snapshot the loops as they are now: what is playing and each fader.
+     */
+    snapshot() {
+        const slots = {};
+        this.app.looper.slots.forEach(slot => {
+            if (!slot.buffer) return;
+            slots[slot.uid] = { playing: slot.state === 'playing' || slot.state === 'overdubbing', volume: slot.volume };
+        });
+        return slots;
+    }
+
+    capture(name = `SCENE ${this.scenes.length + 1}`) {
+        const scene = { id: `scn-${this.nextId++}`, name, slots: this.snapshot() };
+        this.scenes.push(scene);
+        this.changed();
+        return scene;
+    }
+
+    update(id) {
+        const scene = this.get(id);
+        if (!scene) return;
+        scene.slots = this.snapshot();
+        this.changed();
+    }
+
+    rename(id, name) {
+        const scene = this.get(id);
+        if (!scene) return;
+        scene.name = name.trim().slice(0, 24) || scene.name;
+        this.changed();
+    }
+
+    remove(id) {
+        this.scenes = this.scenes.filter(s => s.id !== id);
+        this.song = this.song.filter(e => e.scene !== id);
+        if (this.current === id) this.current = null;
+        this.changed();
+    }
+
+    /**
+     * Seconds a scene takes to come round once: its longest playing loop.
+     */
+    sceneLength(scene) {
+        let length = 0;
+        this.app.looper.slots.forEach(slot => {
+            const entry = scene.slots[slot.uid];
+            if (entry && entry.playing && slot.buffer) length = Math.max(length, slot.duration / slot.rate);
+        });
+        return length || this.app.metronome.barDuration;
+    }
+
+    /**
+     * Launch a scene by hand on the next bar. Takes over from a running song.
+     */
+    launch(id) {
+        const scene = this.get(id);
+        if (!scene) return;
+        this.stopSong();
+        this.queue(scene, this.app.metronome.nextBarTime());
+    }
+
+    /**
+     * Switch to `scene` at `when`: start its loops from the head (ones already
+     * playing carry on), set their faders and stop everything else.
+     */
+    queue(scene, when) {
+        const ctx = this.app.audio.ctx;
+        clearTimeout(this.launchTimer);
+        this.queued = { id: scene.id, when };
+        this.render();
+        this.launchTimer = setTimeout(() => {
+            this.queued = null;
+            this.current = scene.id;
+            this.app.looper.slots.forEach(slot => {
+                if (!slot.buffer || slot.isCapturing) return;
+                const entry = scene.slots[slot.uid];
+                if (entry && entry.playing) {
+                    slot.setVolume(entry.volume, when);
+                    if (slot.state !== 'playing') {
+                        slot.anchor = when;
+                        slot.play(when);
+                    }
+                } else if (slot.state === 'playing') {
+                    slot.stop(when);
+                }
+            });
+            this.render();
+        }, Math.max(0, when - ctx.currentTime - SCENE_LAUNCH_LEAD) * 1000);
+    }
+
+    // --- Song ---
+
+    playSong(from = 0) {
+        if (!this.song.some(e => this.get(e.scene))) return;
+        this.stopSong();
+        this.songPlaying = true;
+        this.queueEntry(from, this.app.metronome.nextBarTime());
+    }
+
+    /**
+     * Stop the song and drop any launch still waiting for its bar.
+     */
+    stopSong() {
+        clearTimeout(this.songTimer);
+        clearTimeout(this.launchTimer);
+        this.queued = null;
+        this.songPlaying = false;
+        this.songIndex = -1;
+        this.render();
+    }
+
+    toggleSong() {
+        if (this.songPlaying) this.app.looper.stopAll();
+        else this.playSong();
+    }
+
+    /**
+     * Launch song entry `index` at `when` and line up the one after it.
+     * Past the end the song loops, or stops everything on that bar.
+     */
+    queueEntry(index, when) {
+        const ctx = this.app.audio.ctx;
+        if (index >= this.song.length) {
+            if (this.songLoop) {
+                index = 0;
+            } else {
+                this.songTimer = setTimeout(() => this.app.looper.stopAll(), Math.max(0, when - ctx.currentTime) * 1000);
+                return;
+            }
+        }
+        const entry = this.song[index];
+        const scene = this.get(entry.scene);
+        if (!scene) return this.queueEntry(index + 1, when);
+
+        this.songIndex = index;
+        this.queue(scene, when);
+        const next = when + this.sceneLength(scene) * entry.repeats;
+        // Leave the next launch enough lookahead to land on its bar
+        this.songTimer = setTimeout(() => {
+            if (this.songPlaying) this.queueEntry(index + 1, next);
+        }, Math.max(0, next - ctx.currentTime - SCENE_LAUNCH_LEAD * 4) * 1000);
+    }
+
+    addSongEntry(sceneId = this.scenes.length ? this.scenes[0].id : null) {
+        if (!sceneId) return;
+        this.song.push({ scene: sceneId, repeats: 1 });
+        this.changed();
+    }
+
+    setSongEntry(index, changes) {
+        const entry = this.song[index];
+        if (!entry) return;
+        if (changes.scene) entry.scene = changes.scene;
+        if (changes.repeats !== undefined) entry.repeats = Math.max(1, Math.min(SONG_MAX_REPEATS, Math.round(changes.repeats) || 1));
+        this.changed();
+    }
+
+    moveSongEntry(index, to) {
+        if (to < 0 || to >= this.song.length) return;
+        const [entry] = this.song.splice(index, 1);
+        this.song.splice(to, 0, entry);
+        this.changed();
+    }
+
+    removeSongEntry(index) {
+        this.song.splice(index, 1);
+        this.changed();
+    }
+
+    changed() {
+        this.render();
+        this.app.session.markDirty();
+    }
+
+    getState() {
+        return {
+            scenes: this.scenes.map(s => ({ ...s, slots: JSON.parse(JSON.stringify(s.slots)) })),
+            song: this.song.map(e => ({ ...e })),
+            songLoop: this.songLoop
+        };
+    }
+
+    setState(state) {
+        this.stopSong();
+        this.current = null;
+        this.scenes = ((state && state.scenes) || []).map(s => ({ ...s, slots: { ...s.slots } }));
+        this.song = ((state && state.song) || []).map(e => ({ ...e }));
+        this.songLoop = !!(state && state.songLoop);
+        this.nextId = this.scenes.reduce((max, s) => Math.max(max, Number(s.id.split('-')[1]) + 1 || 0), 1);
+        this.render();
+    }
+
+    bindUI() {
+        this.ui = {
+            capture: document.getElementById('scene-capture'),
+            list: document.getElementById('scene-list'),
+            song: document.getElementById('song-list'),
+            add: document.getElementById('song-add'),
+            play: document.getElementById('song-play'),
+            loop: document.getElementById('song-loop'),
+            button: document.getElementById('btn-scenes')
+        };
+        if (!this.ui.list) return;
+
+        this.ui.capture.onclick = () => this.capture();
+        this.ui.add.onclick = () => this.addSongEntry(this.current || undefined);
+        this.ui.play.onclick = () => this.toggleSong();
+        this.ui.loop.onclick = () => {
+            this.songLoop = !this.songLoop;
+            this.changed();
+        };
+        this.render();
+    }
+
+    render() {
+        if (this.app.api) this.app.api.stateChanged();
+        if (!this.ui.list) return;
+        const button = (text, hint, onclick) => {
+            const btn = document.createElement('button');
+            btn.className = 'panel-btn';
+            btn.innerText = text;
+            btn.title = hint;
+            btn.onclick = onclick;
+            return btn;
+        };
+
+        this.ui.list.innerHTML = '';
+        if (!this.scenes.length) {
+            const empty = document.createElement('div');
+            empty.className = 'text-xs text-gray-600 font-bold tracking-widest text-center py-2';
+            empty.innerText = 'SET UP SOME LOOPS, THEN CAPTURE';
+            this.ui.list.appendChild(empty);
+        }
+        this.scenes.forEach(scene => {
+            const row = document.createElement('div');
+            row.className = 'scene-row';
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = scene.name;
+            name.onchange = () => this.rename(scene.id, name.value);
+            const playing = Object.values(scene.slots).filter(e => e.playing).length;
+            const count = document.createElement('span');
+            count.className = 'panel-val';
+            count.innerText = `${playing} LOOPS`;
+            const go = button('LAUNCH', 'Switch to this scene on the next bar', () => this.launch(scene.id));
+            go.classList.toggle('active', this.current === scene.id && !this.queued);
+            go.classList.toggle('queued', !!this.queued && this.queued.id === scene.id);
+            row.append(name, count, go,
+                button('UPDATE', 'Re-capture from what is playing now', () => this.update(scene.id)),
+                button('\u00D7', 'Delete scene', () => this.remove(scene.id)));
+            this.ui.list.appendChild(row);
+        });
+
+        this.ui.song.innerHTML = '';
+        this.song.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'song-row';
+            row.classList.toggle('current', this.songPlaying && index === this.songIndex);
+            const num = document.createElement('span');
+            num.innerText = `${index + 1}.`;
+            const select = document.createElement('select');
+            select.className = 'panel-select';
+            this.scenes.forEach(scene => {
+                const o = document.createElement('option');
+                o.value = scene.id;
+                o.innerText = scene.name;
+                select.appendChild(o);
+            });
+            select.value = entry.scene;
+            select.onchange = () => this.setSongEntry(index, { scene: select.value });
+            const repeats = document.createElement('input');
+            repeats.type = 'number';
+            repeats.min = 1;
+            repeats.max = SONG_MAX_REPEATS;
+            repeats.value = entry.repeats;
+            repeats.title = 'Times through the scene';
+            repeats.onchange = () => this.setSongEntry(index, { repeats: Number(repeats.value) });
+            const up = button('\u25B2', 'Move earlier', () => this.moveSongEntry(index, index - 1));
+            up.disabled = index === 0;
+            const down = button('\u25BC', 'Move later', () => this.moveSongEntry(index, index + 1));
+            down.disabled = index === this.song.length - 1;
+            row.append(num, select, repeats, up, down, button('\u00D7', 'Remove', () => this.removeSongEntry(index)));
+            this.ui.song.appendChild(row);
+        });
+
+        this.ui.add.disabled = !this.scenes.length;
+        this.ui.play.innerText = this.songPlaying ? 'STOP SONG' : 'PLAY SONG';
+        this.ui.play.classList.toggle('active', this.songPlaying);
+        this.ui.play.disabled = !this.song.length;
+        this.ui.loop.classList.toggle('active', this.songLoop);
+        if (this.ui.button) this.ui.button.classList.toggle('text-upsideDown-red', this.songPlaying);
+    }
+}
+
+class WaveformView {
+    constructor(canvas, slot) {
+        this.canvas = canvas;
+        this.slot = slot;
+        this.g = canvas.getContext('2d');
+        this.cache = document.createElement('canvas'); // Static waveform, redrawn on buffer change
+        this.cacheFor = null;
+        this.live = [];       // Peak per column while recording
+        this.livePeak = 0;
+        this.liveCount = 0;
+        this.trim = null;     // Pending { start, end } in frames
+        this.dragging = null;
+
+        this.resize();
+        if (window.ResizeObserver) new ResizeObserver(() => this.resize()).observe(canvas);
+        this.bindPointer();
+    }
+
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = Math.max(1, Math.round(rect.width * dpr));
+        this.canvas.height = Math.max(1, Math.round(rect.height * dpr));
+        this.cacheFor = null;
+    }
+
+    bindPointer() {
+        const frameAt = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            return Math.round(x * this.slot.buffer.length);
+        };
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            const slot = this.slot;
+            if (!slot.buffer || slot.isCapturing) return;
+            const frame = frameAt(e);
+            if (!this.trim) this.trim = { start: 0, end: slot.buffer.length };
+            // Move whichever trim point is closer
+            this.dragging = Math.abs(frame - this.trim.start) <= Math.abs(frame - this.trim.end) ? 'start' : 'end';
+            this.setTrimPoint(this.dragging, frame);
+
+            const move = (ev) => this.setTrimPoint(this.dragging, frameAt(ev));
+            const up = () => {
+                this.dragging = null;
+                window.removeEventListener('mousemove', move);
+                window.removeEventListener('mouseup', up);
+            };
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', up);
+        });
+
+        this.canvas.addEventListener('dblclick', () => {
+            this.trim = null;
+            this.slot.updateUI();
+        });
+    }
+
+    setTrimPoint(which, frame) {
+        if (!this.trim || !this.slot.buffer) return;
+        const minLength = Math.round(this.slot.buffer.sampleRate * 0.05);
+        if (which === 'start') this.trim.start = Math.max(0, Math.min(frame, this.trim.end - minLength));
+        else this.trim.end = Math.min(this.slot.buffer.length, Math.max(frame, this.trim.start + minLength));
+        this.slot.updateUI();
+    }
+
+    startLive() {
+        this.live = [];
+        this.livePeak = 0;
+        this.liveCount = 0;
+    }
+
+    /**
+     * Fold freshly captured frames into scrolling peak columns.
+     */
+    pushLive(channels) {
+        const framesPerColumn = Math.round(this.slot.app.audio.ctx.sampleRate * 0.01);
+        const data = channels[0];
+        for (let i = 0; i < data.length; i++) {
+            const v = Math.abs(data[i]);
+            if (v > this.livePeak) this.livePeak = v;
+            if (++this.liveCount >= framesPerColumn) {
+                this.live.push(this.livePeak);
+                this.livePeak = 0;
+                this.liveCount = 0;
+            }
+        }
+        if (this.live.length > this.canvas.width) this.live.splice(0, this.live.length - this.canvas.width);
+    }
+
+    buildCache() {
+        const { width, height } = this.canvas;
+        const buffer = this.slot.buffer;
+        this.cache.width = width;
+        this.cache.height = height;
+        this.cacheFor = buffer;
+        this.cacheColor = this.slot.color;
+
+        const g = this.cache.getContext('2d');
+        g.clearRect(0, 0, width, height);
+        g.fillStyle = this.slot.color;
+        const mid = height / 2;
+        const step = buffer.length / width;
+        const chans = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) chans.push(buffer.getChannelData(c));
+
+        for (let x = 0; x < width; x++) {
+            const from = Math.floor(x * step);
+            const to = Math.min(buffer.length, Math.floor((x + 1) * step));
+            let peak = 0;
+            for (let i = from; i < to; i++) {
+                for (let c = 0; c < chans.length; c++) {
+                    const v = Math.abs(chans[c][i]);
+                    if (v > peak) peak = v;
+                }
+            }
+            const h = Math.max(1, Math.min(1, peak) * mid);
+            g.fillRect(x, mid - h, 1, h * 2);
+        }
+    }
+
+    render(time) {
+        const { width, height } = this.canvas;
+        const g = this.g;
+        const slot = this.slot;
+        g.clearRect(0, 0, width, height);
+
+        // Live scrolling view while a fresh take is captured
+        if (slot.state === 'recording') {
+            g.fillStyle = '#ff0033';
+            const mid = height / 2;
+            const x0 = width - this.live.length;
+            this.live.forEach((peak, i) => {
+                const h = Math.max(1, Math.min(1, peak) * mid);
+                g.fillRect(x0 + i, mid - h, 1, h * 2);
+            });
+            return;
+        }
+
+        if (!slot.buffer) return;
+        if (this.cacheFor !== slot.buffer || this.cacheColor !== slot.color ||
+            this.cache.width !== width || this.cache.height !== height) {
+            if (this.cacheFor !== slot.buffer) this.trim = null;
+            this.buildCache();
+        }
+        g.drawImage(this.cache, 0, 0);
+
+        // Shade what the pending trim would cut away
+        if (this.trim) {
+            const x1 = this.trim.start / slot.buffer.length * width;
+            const x2 = this.trim.end / slot.buffer.length * width;
+            g.fillStyle = 'rgba(0, 0, 0, 0.65)';
+            g.fillRect(0, 0, x1, height);
+            g.fillRect(x2, 0, width - x2, height);
+            g.fillStyle = '#fff';
+            g.fillRect(x1, 0, 2, height);
+            g.fillRect(x2 - 2, 0, 2, height);
+        }
+
+        // Playhead
+        if (slot.state === 'playing' || slot.state === 'overdubbing') {
+            let pos = slot.positionAt(time) / slot.duration;
+            if (slot.reversed) pos = 1 - pos;
+            g.fillStyle = slot.state === 'overdubbing' ? '#e879f9' : '#fff';
+            g.fillRect(Math.floor(pos * width), 0, 2, height);
+        }
+    }
+}
+
+/**
+ * Notes played over a loop. Times are seconds into the loop at normal speed,
+ * so the clip lines up with the audio it was recorded alongside.
+ * voice: { mode: 'synth', name, patch } or { mode: 'drums', name, pads }.
+ */
+class NoteClip {
+    constructor(length, notes = [], voice = null) {
+        this.length = length;
+        this.notes = notes; // { note, velocity, start, length }
+        this.voice = voice || { mode: 'synth', name: 'Init Saw', patch: { ...DEFAULT_PATCH } };
+    }
+
+    static fromState(state) {
+        return new NoteClip(state.length, state.notes.map(n => ({ ...n })), { ...state.voice });
+    }
+
+    getState() {
+        return { length: this.length, notes: this.notes.map(n => ({ ...n })), voice: { ...this.voice } };
+    }
+
+    add(note, velocity, start, length) {
+        const pos = ((start % this.length) + this.length) % this.length;
+        this.notes.push({ note, velocity, start: pos, length: Math.max(0.01, length) });
+        this.notes.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Pull note starts toward the nearest multiple of `grid` seconds.
+     * strength 1 snaps fully; lengths are left alone.
+     */
+    quantize(grid, strength = 1) {
+        if (!(grid > 0)) return;
+        this.notes.forEach(n => {
+            const target = Math.round(n.start / grid) * grid;
+            n.start = (n.start + (target - n.start) * strength) % this.length;
+        });
+        this.notes.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Notes starting in the loop-position span [from, from + span), wrapping round.
+     * Each comes back with `offset`: its distance from `from`, in clip seconds.
+     */
+    notesBetween(from, span) {
+        const out = [];
+        if (!this.notes.length || span <= 0) return out;
+        const first = Math.floor(from / this.length);
+        for (let cycle = first; cycle * this.length < from + span; cycle++) {
+            const base = cycle * this.length;
+            this.notes.forEach(n => {
+                const at = base + n.start;
+                if (at >= from && at < from + span) out.push({ ...n, offset: at - from });
+            });
+        }
+        return out;
+    }
+}
+
+/**
+ * Arpeggiator / note repeat. While enabled it takes over held notes from the
+ * computer keyboard, piano and MIDI in, and plays them back on the metronome's
+ * beat grid, scheduled ahead by ClipPlayer's tick. In drum mode every held pad
+ * repeats on each step instead.
+ */
+class Arpeggiator {
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...ARP_DEFAULTS };
+        this.held = [];           // { note, midi, velocity } in the order played
+        this.pressed = new Set(); // Notes physically down (latch keeps `held` past release)
+        this.nextStep = null;     // Grid step number to play next, null when idle
+        this.position = 0;        // Steps played since the arp (re)started
+        this.voices = [];         // { voice, end } still sounding
+        this.timers = [];         // Key highlight timeouts
+    }
+
+    getState() {
+        return { ...this.settings };
+    }
+
+    setState(state) {
+        this.settings = { ...ARP_DEFAULTS, ...state };
+        this.reset();
+    }
+
+    set(key, value) {
+        if (key === 'enabled' && value) {
+            // Notes already sounding would never get their note-off
+            this.app.keyboard.releaseAll();
+            const synth = this.app.synth;
+            [...synth.activeVoices.keys()].forEach(note => synth.releaseVoice(note));
+            synth.sustainedNotes.clear();
+            synth.heldNotes = [];
+        }
+        this.settings[key] = value;
+        if (key === 'enabled' && !value) this.reset();
+        if (key === 'latch' && !value) this.held = this.held.filter(h => this.pressed.has(h.note));
+        if (this.app.session) this.app.session.markDirty();
+    }
+
+    /** Drop every held note and cut anything still sounding. */
+    reset() {
+        this.held = [];
+        this.pressed.clear();
+        this.nextStep = null;
+        const now = this.app.audio.ctx.currentTime;
+        this.voices.forEach(v => v.voice.release(now, true));
+        this.voices = [];
+        this.timers.forEach(clearTimeout);
+        this.timers = [];
+    }
+
+    get stepBeats() {
+        return CLIP_QUANTIZE_GRIDS[this.settings.rate] || 0.25;
+    }
+
+    /**
+     * Take a played note. Returns false when the arp is off and the caller
+     * should play it as usual.
+     */
+    noteOn(note, velocity = 1) {
+        if (!this.settings.enabled) return false;
+        const midi = noteToMidi(note);
+        if (midi === null) return true;
+        // With latch, the first key after letting go starts a new chord
+        if (this.settings.latch && !this.pressed.size) this.held = [];
+        this.pressed.add(note);
+        if (!this.held.some(h => h.note === note)) this.held.push({ note, midi, velocity });
+        if (this.nextStep === null) {
+            const beat = this.app.metronome.beatAtTime(this.app.audio.ctx.currentTime);
+            this.nextStep = Math.ceil(beat / this.stepBeats - 1e-6);
+            this.position = 0;
+        }
+        return true;
+    }
+
+    noteOff(note) {
+        if (!this.settings.enabled) return false;
+        this.pressed.delete(note);
+        if (!this.settings.latch) this.held = this.held.filter(h => h.note !== note);
+        if (!this.held.length) this.nextStep = null;
+        return true;
+    }
+
+    stepTime(step) {
+        const metronome = this.app.metronome;
+        const swing = step % 2 ? this.settings.swing * 0.5 * this.stepBeats : 0;
+        return metronome.timeAtBeat(step * this.stepBeats + swing);
+    }
+
+    /**
+     * Play every step falling in [from, to). Called from ClipPlayer.tick().
+     */
+    schedule(from, to) {
+        const now = this.app.audio.ctx.currentTime;
+        this.voices = this.voices.filter(v => v.end > now);
+        if (!this.settings.enabled || this.nextStep === null || !this.held.length) return;
+        // Fell behind (tempo change, stalled tab): rejoin the grid instead of catching up
+        if (this.stepTime(this.nextStep) < from - this.app.metronome.secondsPerBeat * this.stepBeats) {
+            this.nextStep = Math.ceil(this.app.metronome.beatAtTime(from) / this.stepBeats - 1e-6);
+        }
+        while (this.stepTime(this.nextStep) < to) {
+            const time = Math.max(now, this.stepTime(this.nextStep));
+            const length = this.settings.gate * this.app.metronome.secondsPerBeat * this.stepBeats;
+            this.stepNotes().forEach(h => this.playStep(h.note, time, length, h.velocity));
+            this.nextStep++;
+            this.position++;
+        }
+    }
+
+    /** Held notes due on the current step. */
+    stepNotes() {
+        if (this.app.synth.mode === 'drums') return this.held;
+        const { mode, octaves } = this.settings;
+        const sequence = arpSequence(this.held.map(h => h.midi), mode, octaves);
+        const midi = mode === 'random'
+            ? sequence[Math.floor(Math.random() * sequence.length)]
+            : sequence[this.position % sequence.length];
+        const note = midiToNote(midi);
+        if (!note) return [];
+        // Octave copies take the velocity of the key they came from
+        const source = this.held.filter(h => h.midi <= midi && (midi - h.midi) % 12 === 0)
+            .sort((a, b) => b.midi - a.midi)[0] || this.held[0];
+        return [{ note, velocity: source.velocity }];
+    }
+
+    /**
+     * One arp note: to the synth (or pads) and MIDI out, and to the note
+     * listeners with its real start and end so captured clips stay on the grid.
+     */
+    playStep(note, time, length, velocity) {
+        const { synth, inputs, audio } = this.app;
+        if (inputs.settings.localSynth || synth.mode === 'drums') {
+            const voice = synth.scheduleNote({ mode: synth.mode, patch: synth.patch }, note, time, length, velocity);
+            if (voice) this.voices.push({ voice, end: time + length + voice.patch.ampRelease });
+        }
+        inputs.sendNote(note, true, velocity, time);
+        inputs.sendNote(note, false, 0, time + length);
+        synth.emitNote(note, true, velocity, time);
+        synth.emitNote(note, false, 0, time + length);
+
+        const delay = Math.max(0, (time - audio.ctx.currentTime) * 1000);
+        this.timers.push(setTimeout(() => synth.highlightKey(note, true), delay));
+        this.timers.push(setTimeout(() => synth.highlightKey(note, false), delay + length * 1000));
+        if (this.timers.length > 64) this.timers.splice(0, this.timers.length - 64);
+    }
+}
+
+/**
+ * Records played notes into the slot that is taking, and plays back the
+ * clips of slots set to play their notes, scheduled ahead on the audio clock.
+ */
+class ClipPlayer {
+    constructor(app) {
+        this.app = app;
+        this.timerID = null;
+        this.scheduledUntil = 0;
+        this.voices = []; // { slot, voice, end } for clip notes still sounding
+        app.synth.onNote((note, on, velocity, time) => {
+            app.looper.slots.forEach(slot => slot.captureNote(note, on, velocity, time));
+        });
+    }
+
+    start() {
+        clearTimeout(this.timerID);
+        this.scheduledUntil = this.app.audio.ctx.currentTime;
+        this.tick();
+    }
+
+    tick() {
+        const now = this.app.audio.ctx.currentTime;
+        const from = Math.max(this.scheduledUntil, now);
+        const to = now + CLIP_LOOKAHEAD;
+        this.voices = this.voices.filter(v => v.end > now);
+        if (to > from) {
+            this.app.looper.slots.forEach(slot => {
+                if (slot.playNotes && slot.clip && slot.buffer && (slot.state === 'playing' || slot.state === 'overdubbing')) {
+                    this.scheduleSlot(slot, Math.max(from, slot.sourceStart), to);
+                }
+            });
+            this.app.arp.schedule(from, to);
+            this.scheduledUntil = to;
+        }
+        this.timerID = setTimeout(() => this.tick(), CLIP_TICK_MS);
+    }
+
+    scheduleSlot(slot, from, to) {
+        if (to <= from) return;
+        const ctx = this.app.audio.ctx;
+        const clip = slot.clip;
+        const rate = slot.rate;
+        clip.notesBetween(slot.positionAt(from), (to - from) * rate).forEach(n => {
+            const time = from + n.offset / rate;
+            const length = n.length / rate;
+            const voice = this.app.synth.scheduleNote(clip.voice, n.note, time, length, n.velocity, ctx, slot.gainNode);
+            if (voice) this.voices.push({ slot, voice, end: time + length + voice.patch.ampRelease });
+        });
+    }
+
+    /**
+     * Cut off a slot's sounding clip notes (stop, clear, back to audio).
+     */
+    silence(slot) {
+        const now = this.app.audio.ctx.currentTime;
+        this.voices = this.voices.filter(v => {
+            if (v.slot !== slot) return true;
+            v.voice.release(now, true);
+            return false;
+        });
+    }
+
+    /**
+     * Render a slot's clip, through its voice, into a buffer the slot's length.
+     * Notes ringing past the end wrap round to the start.
+     */
+    async render(slot) {
+        const clip = slot.clip;
+        const sr = this.app.audio.ctx.sampleRate;
+        const frames = slot.buffer.length;
+        const tail = Math.round(sr * CLIP_RENDER_TAIL);
+        const offline = new OfflineAudioContext(2, frames + tail, sr);
+        const synth = this.app.synth;
+        clip.notesBetween(0, frames / sr).forEach(n => {
+            synth.scheduleNote(clip.voice, n.note, n.offset, n.length, n.velocity, offline, offline.destination);
+        });
+        const rendered = await offline.startRendering();
+
+        const buffer = this.app.audio.ctx.createBuffer(2, frames, sr);
+        for (let c = 0; c < 2; c++) {
+            const src = rendered.getChannelData(c);
+            const data = src.slice(0, frames);
+            for (let i = 0; i < tail; i++) data[i % frames] += src[frames + i];
+            buffer.copyToChannel(data, c);
+        }
+        return buffer;
+    }
+
+    /**
+     * The voice a freshly captured clip starts with: whatever is playing now.
+     */
+    currentVoice() {
+        const synth = this.app.synth;
+        if (synth.mode === 'drums') return { mode: 'drums', name: synth.pads.name, pads: true };
+        return { mode: 'synth', name: this.app.synthPanel.currentName, patch: { ...synth.patch } };
+    }
+}
+
+class LoopSlot {
+    constructor(index, app, opts = {}) {
+        this.index = index;
+        this.app = app;
+        this.uid = opts.uid || `trk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.name = opts.name || `CH ${index + 1}`;
+        this.color = opts.color || TRACK_COLORS[index % TRACK_COLORS.length];
+        this.state = 'empty';
+        this.buffer = null;
+        this.source = null;
+        this.take = null;
+        this.takeStart = 0;
+        this.takeRecorder = null;
+        this.takeOffset = 0;  // Capture latency the running take is shifted by
+        this.input = 'both';  // Record source, see RECORD_SOURCES
+        this.nudge = 0;       // ms; moves playback against the beat without touching the audio
+        this.stopTime = null; // Quantized end of the running take, once stop was pressed
+        this.prevState = 'empty';
+        this.anchor = 0; // AudioContext time at which loop position 0 plays
+        this.history = [];   // Previous buffers (null = was empty)
+        this.redoStack = [];
+        this.clip = null;       // NoteClip of what was played while recording
+        this.noteTake = null;   // Notes being captured: { start, notes, held, overdub }
+        this.playNotes = false; // Voice the clip instead of playing the audio
+        this.sourceStart = 0;   // When the current source starts sounding
+        
+        // Mixer strip
+        this.muted = false;
+        this.soloed = false;
+        this.volume = 0.8;
+        this.pan = 0;
+        this.sends = { reverb: 0, delay: 0 };
+        this.reversed = false;
+        this.rate = 1;
+        this.multiplyFactor = MULTIPLY_FACTORS[0];
+        this.reversedCache = null;
+        this.reversedFor = null;
+
+        // source -> audio/notes switch -> fader -> mute/solo -> pan -> master,
+        // post-fader sends off the panner. Clip notes go straight into the fader.
+        const ctx = app.audio.ctx;
+        this.sourceGain = ctx.createGain();
+        this.gainNode = ctx.createGain();
+        this.muteGain = ctx.createGain();
+        this.panner = ctx.createStereoPanner();
+        this.reverbSend = ctx.createGain();
+        this.delaySend = ctx.createGain();
+        this.reverbSend.gain.value = 0;
+        this.delaySend.gain.value = 0;
+        this.sourceGain.connect(this.gainNode).connect(this.muteGain).connect(this.panner).connect(app.audio.masterGain);
+        this.panner.connect(this.reverbSend).connect(app.audio.reverbBus);
+        this.panner.connect(this.delaySend).connect(app.audio.delayBus);
+        
+        this.bindUI();
+        app.audio.addMeter(this.uid, this.panner, this.ui.card.querySelector('.slot-meter'));
+        this.gainNode.gain.value = this.volume;
+        this.updateUI();
+        this.updateMixUI();
+    }
+
+    /**
+     * Build this track's card and add it to the slot grid.
+     */
+    render() {
+        const card = document.createElement('div');
+        card.className = 'loop-slot rounded-2xl p-4 flex flex-col justify-between relative cursor-pointer';
+        card.innerHTML = `
+            <div class="flex justify-between items-start gap-2">
+                <span class="slot-name font-header text-xl" contenteditable="true" spellcheck="false" title="Rename track"></span>
+                <div class="flex items-center gap-2">
+                    <select class="slot-input" title="Record source"></select>
+                    <input type="number" class="slot-nudge" min="-${SLOT_MAX_NUDGE}" max="${SLOT_MAX_NUDGE}" step="1" value="0" title="Nudge playback (ms, negative = earlier)">
+                    <input type="color" class="slot-color" title="Track color">
+                    <div class="status-dot w-4 h-4 rounded-full bg-gray-700 shadow-inner"></div>
+                    <button class="slot-remove" title="Remove track">&times;</button>
+                </div>
+            </div>
+
+            <div class="slot-wave-box relative flex-grow my-1 rounded-lg overflow-hidden">
+                <canvas class="slot-wave absolute inset-0 w-full h-full" title="Click to set trim points, double-click to reset"></canvas>
+                <span class="empty-text animate-pulse absolute inset-0 flex items-center justify-center pointer-events-none">EMPTY</span>
+            </div>
+
+            <div class="slot-actions flex flex-wrap gap-1">
+                <button data-action="overdub" title="Overdub (O)">OVR</button>
+                <button data-action="undo" title="Undo (Ctrl+Z)">UND</button>
+                <button data-action="redo" title="Redo (Ctrl+Shift+Z)">RED</button>
+                <button data-action="multiply" title="Multiply by the factor (M)">MUL</button>
+                <button data-action="multiply-factor" title="Multiply factor (click to change)">X2</button>
+                <button data-action="insert" title="Insert cycle (I)">INS</button>
+                <button data-action="trim" title="Apply trim points">TRIM</button>
+                <button data-action="clear" title="Clear (Backspace)">CLR</button>
+                <button data-action="download" title="Download WAV">WAV</button>
+                <button data-action="notes" title="Notes played while recording: voice, quantize, MIDI export">NOTES</button>
+                <button data-action="import" title="Load an audio file (or drop one on the card)">OPEN</button>
+                <input type="file" class="slot-file hidden" accept="audio/*,.wav,.mp3,.ogg">
+            </div>
+
+            <div class="meter slot-meter">${meterMarkup()}</div>
+
+            <div class="slot-actions slot-mixer flex items-center gap-1 mt-1">
+                <button data-mix="mute" title="Mute">M</button>
+                <button data-mix="solo" title="Solo">S</button>
+                <button data-mix="reverse" title="Reverse">REV</button>
+                <button data-mix="speed" title="Playback speed">1X</button>
+                <input type="range" class="slot-pan" min="-1" max="1" step="0.05" value="0" title="Pan (double-click to center)">
+                <input type="range" class="slot-send" data-send="reverb" min="0" max="1" step="0.05" value="0" title="Reverb send">
+                <input type="range" class="slot-send" data-send="delay" min="0" max="1" step="0.05" value="0" title="Delay send">
+                <input type="range" class="slot-volume" min="0" max="1" step="0.1" value="0.8" title="Volume">
+            </div>`;
+
+        const grid = document.getElementById('slot-grid');
+        grid.insertBefore(card, document.getElementById('btn-add-track'));
+        return card;
+    }
+
+    bindUI() {
+        const card = this.render();
+        this.ui = {
+            card,
+            name: card.querySelector('.slot-name'),
+            color: card.querySelector('.slot-color'),
+            remove: card.querySelector('.slot-remove'),
+            status: card.querySelector('.status-dot'),
+            emptyText: card.querySelector('.empty-text'),
+            wave: card.querySelector('.slot-wave'),
+            slider: card.querySelector('.slot-volume'),
+            file: card.querySelector('.slot-file'),
+            actions: card.querySelectorAll('[data-action]'),
+            mix: card.querySelectorAll('[data-mix]'),
+            pan: card.querySelector('.slot-pan'),
+            sends: card.querySelectorAll('.slot-send'),
+            input: card.querySelector('.slot-input'),
+            nudge: card.querySelector('.slot-nudge')
+        };
+
+        card.addEventListener('mousedown', () => this.app.selectSlot(this.index));
+        this.view = new WaveformView(this.ui.wave, this);
+
+        // Drop audio files on the card to load them into this track
+        card.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            card.classList.add('drop-target');
+        });
+        card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+        card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            card.classList.remove('drop-target');
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            this.app.selectSlot(this.index);
+            this.app.importer.open(this, file);
+        });
+        this.ui.file.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) this.app.importer.open(this, file);
+            e.target.value = '';
+        };
+
+        this.ui.name.innerText = this.name;
+        this.ui.name.onkeydown = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                e.target.blur();
+            }
+        };
+        this.ui.name.onblur = (e) => this.setName(e.target.innerText);
+
+        this.ui.color.oninput = (e) => this.setColor(e.target.value);
+        this.setColor(this.color);
+
+        RECORD_SOURCES.forEach(src => {
+            const o = document.createElement('option');
+            o.value = src.id;
+            o.innerText = src.label;
+            this.ui.input.appendChild(o);
+        });
+        this.ui.input.value = this.input;
+        this.ui.input.onmousedown = (e) => e.stopPropagation();
+        this.ui.input.onchange = (e) => this.setInput(e.target.value);
+        this.ui.nudge.onmousedown = (e) => e.stopPropagation();
+        this.ui.nudge.onchange = (e) => this.setNudge(Number(e.target.value) || 0);
+
+        this.ui.remove.onclick = (e) => {
+            e.stopPropagation();
+            this.app.looper.removeSlot(this.index);
+        };
+
+        this.ui.slider.oninput = (e) => {
+            this.app.selectSlot(this.index);
+            this.setVolume(Number(e.target.value));
+        };
+
+        this.ui.actions.forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                this.app.selectSlot(this.index);
+                this.app.looper.perform(btn.dataset.action, this.index);
+            };
+        });
+
+        this.ui.mix.forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                this.app.selectSlot(this.index);
+                this.app.looper.perform(btn.dataset.mix, this.index);
+            };
+        });
+
+        this.ui.pan.oninput = (e) => this.setPan(Number(e.target.value));
+        this.ui.pan.ondblclick = () => this.setPan(0);
+        this.ui.sends.forEach(input => {
+            input.oninput = (e) => this.setSend(input.dataset.send, Number(e.target.value));
+        });
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.app.looper.updateMix();
+        this.updateMixUI();
+        this.app.session.markDirty();
+    }
+
+    setSoloed(soloed) {
+        this.soloed = soloed;
+        this.app.looper.updateMix();
+        this.updateMixUI();
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Called by LoopStation.updateMix with the combined mute/solo result.
+     */
+    applyAudible(audible) {
+        const ctx = this.app.audio.ctx;
+        this.muteGain.gain.setTargetAtTime(audible ? 1 : 0, ctx.currentTime, 0.01);
+        this.ui.card.classList.toggle('muted', !audible);
+    }
+
+    setPan(pan) {
+        this.pan = Math.max(-1, Math.min(1, pan));
+        this.panner.pan.setTargetAtTime(this.pan, this.app.audio.ctx.currentTime, 0.01);
+        this.ui.pan.value = this.pan;
+        this.app.session.markDirty();
+    }
+
+    setSend(bus, level) {
+        if (!(bus in this.sends)) return;
+        const node = bus === 'reverb' ? this.reverbSend : this.delaySend;
+        this.sends[bus] = level;
+        node.gain.setTargetAtTime(level, this.app.audio.ctx.currentTime, 0.01);
+        this.ui.sends.forEach(input => {
+            if (input.dataset.send === bus) input.value = level;
+        });
+        this.app.session.markDirty();
+    }
+
+    setReversed(reversed) {
+        this.reversed = reversed;
+        if (this.state === 'playing' || this.state === 'overdubbing') this.restartSource();
+        this.updateMixUI();
+        this.app.session.markDirty();
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+        if (this.state === 'playing' || this.state === 'overdubbing') this.restartSource();
+        this.updateMixUI();
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Step through half, normal and double speed.
+     */
+    cycleRate() {
+        const rates = [0.5, 1, 2];
+        this.setRate(rates[(rates.indexOf(this.rate) + 1) % rates.length]);
+    }
+
+    updateMixUI() {
+        this.ui.mix.forEach(btn => {
+            const mix = btn.dataset.mix;
+            if (mix === 'speed') {
+                btn.innerText = this.rate === 0.5 ? '½X' : `${this.rate}X`;
+                btn.classList.toggle('active', this.rate !== 1);
+            } else {
+                const on = mix === 'mute' ? this.muted : mix === 'solo' ? this.soloed : this.reversed;
+                btn.classList.toggle('active', on);
+            }
+        });
+    }
+
+    setName(name) {
+        this.name = name.trim().slice(0, 24) || `CH ${this.index + 1}`;
+        this.ui.name.innerText = this.name;
+        this.app.session.markDirty();
+    }
+
+    setColor(color) {
+        this.color = color;
+        this.ui.color.value = color;
+        this.ui.card.style.setProperty('--track-color', color);
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Choose what the next take records; a running take keeps its source.
+     */
+    setInput(input) {
+        if (!RECORD_SOURCES.some(src => src.id === input)) return;
+        this.input = input;
+        this.ui.input.value = input;
+        this.app.session.markDirty();
+    }
+
+    setNudge(ms) {
+        this.nudge = Math.max(-SLOT_MAX_NUDGE, Math.min(SLOT_MAX_NUDGE, Math.round(ms)));
+        this.ui.nudge.value = this.nudge;
+        if (this.state === 'playing' || this.state === 'overdubbing') this.restartSource();
+        this.app.session.markDirty();
+    }
+
+    setVolume(volume, when = this.app.audio.ctx.currentTime) {
+        this.volume = volume;
+        this.gainNode.gain.setTargetAtTime(volume, when, 0.01);
+        this.ui.slider.value = volume;
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Everything about the track except its audio, as a plain object.
+     */
+    getSettings() {
+        return {
+            uid: this.uid,
+            name: this.name,
+            color: this.color,
+            volume: this.volume,
+            muted: this.muted,
+            soloed: this.soloed,
+            pan: this.pan,
+            sends: { ...this.sends },
+            reversed: this.reversed,
+            rate: this.rate,
+            input: this.input,
+            nudge: this.nudge,
+            clip: this.clip ? this.clip.getState() : null,
+            playNotes: this.playNotes,
+            multiplyFactor: this.multiplyFactor
+        };
+    }
+
+    applySettings(settings) {
+        if (settings.name) this.setName(settings.name);
+        if (settings.color) this.setColor(settings.color);
+        if (settings.volume !== undefined) this.setVolume(settings.volume);
+        if (settings.pan !== undefined) this.setPan(settings.pan);
+        const sends = settings.sends || {};
+        Object.keys(sends).forEach(bus => this.setSend(bus, sends[bus]));
+        this.muted = !!settings.muted;
+        this.soloed = !!settings.soloed;
+        this.reversed = !!settings.reversed;
+        this.rate = settings.rate || 1;
+        if (MULTIPLY_FACTORS.includes(settings.multiplyFactor)) this.multiplyFactor = settings.multiplyFactor;
+        if (settings.input) this.setInput(settings.input);
+        if (settings.nudge) this.setNudge(settings.nudge);
+        this.clip = settings.clip ? NoteClip.fromState(settings.clip) : null;
+        this.setPlayNotes(!!settings.playNotes);
+        this.updateMixUI();
+        this.updateUI();
+    }
+
+    // --- Note clip ---
+
+    /**
+     * Fed every played note by the ClipPlayer; kept while a take is running.
+     */
+    captureNote(note, on, velocity, time) {
+        const take = this.noteTake;
+        if (!take || time < take.start) return;
+        if (on) {
+            take.held.set(note, { note, velocity, on: time });
+            return;
+        }
+        const held = take.held.get(note);
+        if (!held) return;
+        take.held.delete(note);
+        take.notes.push({ ...held, off: time });
+    }
+
+    /**
+     * Close the note take at `end` and hand back its notes, held ones cut at `end`.
+     */
+    finishNoteTake(end) {
+        const take = this.noteTake;
+        this.noteTake = null;
+        if (!take) return [];
+        take.held.forEach(held => take.notes.push({ ...held, off: end }));
+        return take.notes.filter(n => n.on < end).map(n => ({ ...n, off: Math.min(n.off, end) }));
+    }
+
+    setPlayNotes(on) {
+        this.playNotes = on && !!this.clip;
+        this.sourceGain.gain.setTargetAtTime(this.playNotes ? 0 : 1, this.app.audio.ctx.currentTime, 0.01);
+        if (!this.playNotes) this.app.clipPlayer.silence(this);
+        this.app.session.markDirty();
+    }
+
+    setClipVoice(voice) {
+        if (!this.clip) return;
+        this.clip.voice = voice;
+        this.app.clipPlayer.silence(this);
+        this.app.session.markDirty();
+    }
+
+    quantizeClip(beats, strength = 1) {
+        if (!this.clip) return;
+        this.clip.quantize(beats * this.app.metronome.secondsPerBeat, strength);
+        this.app.session.markDirty();
+    }
+
+    clearClip() {
+        this.setPlayNotes(false);
+        this.clip = null;
+        this.updateUI();
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Bake the voiced clip into the loop audio (undoable), then play that.
+     */
+    async renderClip() {
+        if (!this.clip || !this.buffer || this.isCapturing) return;
+        const buffer = await this.app.clipPlayer.render(this);
+        this.pushHistory();
+        this.setBuffer(buffer);
+        this.setPlayNotes(false);
+    }
+
+    /**
+     * Save the clip as a Standard MIDI File at the current tempo.
+     */
+    exportMidi() {
+        if (!this.clip) return;
+        const { metronome, inputs } = this.app;
+        const spb = metronome.secondsPerBeat;
+        const notes = this.clip.notes.map(n => ({
+            midi: inputs.noteNameToMidi(n.note),
+            velocity: n.velocity,
+            start: n.start / spb,
+            length: n.length / spb
+        })).filter(n => n.midi !== null);
+        const smf = encodeSmf([{ name: this.name, channel: this.clip.voice.mode === 'drums' ? 9 : 0, notes }], {
+            bpm: metronome.bpm,
+            beatsPerBar: metronome.beatsPerBar,
+            beatUnit: metronome.beatUnit
+        });
+        downloadBlob(new Blob([smf], { type: 'audio/midi' }), `${safeFilename(this.name)}.mid`);
+    }
+
+    /**
+     * Save the raw loop as an uncompressed WAV at the context sample rate.
+     */
+    download(bitDepth = 16) {
+        if (!this.buffer) return;
+        const channels = [];
+        for (let c = 0; c < this.buffer.numberOfChannels; c++) channels.push(this.buffer.getChannelData(c));
+        const wav = encodeWav(channels, this.buffer.sampleRate, bitDepth);
+        downloadBlob(new Blob([wav], { type: 'audio/wav' }), `${safeFilename(this.name)}.wav`);
+    }
+
+    /**
+     * Load an imported sample as an undoable edit. Joins in phase if
+     * other loops are already playing.
+     */
+    loadSample(buffer) {
+        const wasEmpty = !this.buffer;
+        this.pushHistory();
+        this.setBuffer(buffer);
+        const reference = this.app.looper.referenceAnchor(this);
+        if (wasEmpty && reference !== null) {
+            this.anchor = reference;
+            this.play();
+        }
+    }
+
+    /**
+     * Replace the loop with a ready-made buffer (restore, import), stopped.
+     */
+    loadBuffer(buffer) {
+        if (this.isCapturing) this.clear();
+        this.stopSource();
+        this.buffer = buffer;
+        this.history = [];
+        this.redoStack = [];
+        this.anchor = 0;
+        this.state = 'stopped';
+        this.updateUI();
+        this.app.session.markAudioDirty(this);
+    }
+
+    /**
+     * Tear down audio and the card when the track is removed.
+     */
+    destroy() {
+        this.clear();
+        this.app.audio.removeMeter(this.uid);
+        [this.sourceGain, this.gainNode, this.muteGain, this.panner, this.reverbSend, this.delaySend].forEach(n => n.disconnect());
+        this.ui.card.remove();
+    }
+
+    get duration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    get isCapturing() {
+        return this.state === 'armed' || this.state === 'recording' || this.state === 'overdubbing';
+    }
+
+    toggle() {
+        if (this.state === 'armed') this.disarm();
+        else if (this.state === 'recording') this.stopRecording();
+        // Record during an overdub punches out; re-arming would orphan the pass
+        else if (this.state === 'overdubbing') this.stopOverdub();
+        else this.startRecording();
+    }
+
+    /**
+     * Arm recording; capture begins on the next bar line.
+     */
+    startRecording() {
+        if (this.isCapturing) return;
+        const ctx = this.app.audio.ctx;
+        const startTime = this.app.metronome.recordStartTime();
+        this.prevState = this.state;
+        // Silence the old loop on the bar; play() re-stops it sooner on disarm
+        if (this.source) this.source.stop(startTime);
+        // Capture from this track's source, shifted by its latency so the take
+        // holds what was played against the beat
+        this.view.startLive();
+        this.takeRecorder = this.app.audio.recorderFor(this.input);
+        this.takeOffset = this.app.audio.captureOffset(this.input);
+        this.take = this.takeRecorder.start(startTime + this.takeOffset, channels => this.view.pushLive(channels));
+        this.takeStart = startTime;
+        this.noteTake = { start: startTime, notes: [], held: new Map() };
+        this.stopTime = null;
+        this.state = 'armed';
+        this.updateUI();
+
+        const take = this.take;
+        setTimeout(() => {
+            if (this.take !== take || this.state !== 'armed') return;
+            this.state = 'recording';
+            this.updateUI();
+        }, Math.max(0, startTime - ctx.currentTime) * 1000);
+    }
+
+    disarm() {
+        if (this.state !== 'armed') return;
+        this.takeRecorder.cancel(this.take);
+        this.take = null;
+        this.noteTake = null;
+        this.state = this.prevState === 'empty' ? 'empty' : 'stopped';
+        if (this.prevState === 'playing') this.play();
+        else this.updateUI();
+    }
+
+    /**
+     * Close the loop on the next bar (first loop) or master-length multiple.
+     */
+    stopRecording() {
+        if (this.state === 'armed') return this.disarm();
+        if (!this.take || this.state !== 'recording' || this.stopTime !== null) return;
+        const recorder = this.takeRecorder;
+        const ctx = this.app.audio.ctx;
+        const looper = this.app.looper;
+        const take = this.take;
+        const startFrame = recorder.toFrame(this.takeStart);
+        const freeLength = !looper.masterFrames && this.app.metronome.settings.followLoop;
+        const loopFrames = looper.quantizeLength(startFrame, ctx.currentTime);
+        if (!looper.masterFrames) looper.masterFrames = loopFrames;
+        this.stopTime = (startFrame + loopFrames) / ctx.sampleRate;
+        const takeStart = this.takeStart;
+        const stopTime = this.stopTime;
+        this.updateUI();
+
+        // Keep capturing a little past the end for the seam crossfade
+        recorder.stop(take, this.stopTime + LOOP_SEAM_FADE + this.takeOffset).then(result => {
+            if (this.take !== take) return;
+            this.take = null;
+            this.stopTime = null;
+            if (!result || !result.channels[0].length) {
+                this.clear();
+                return;
+            }
+            this.pushHistory();
+            this.buffer = buildLoopBuffer(ctx, result.channels, loopFrames);
+            this.app.session.markAudioDirty(this);
+            // A new take gets a new clip (or none, if nothing was played)
+            const notes = this.finishNoteTake(stopTime);
+            this.setPlayNotes(false);
+            this.clip = notes.length ? new NoteClip(loopFrames / ctx.sampleRate, [], this.app.clipPlayer.currentVoice()) : null;
+            notes.forEach(n => this.clip.add(n.note, n.velocity, n.on - takeStart, n.off - n.on));
+            // Loop head lines up with where the take started, so playback
+            // continues seamlessly from the moment recording stopped.
+            this.anchor = this.takeStart;
+            this.play();
+            if (freeLength) looper.fitTempo(this, takeStart);
+        });
+    }
+
+    toggleOverdub() {
+        if (this.state === 'overdubbing') this.stopOverdub();
+        else this.startOverdub();
+    }
+
+    /**
+     * Punch in: layer new audio over the loop as it keeps playing.
+     */
+    startOverdub() {
+        if (!this.buffer || this.isCapturing) return;
+        if (this.state !== 'playing') this.play();
+        const startTime = this.app.audio.ctx.currentTime;
+        this.takeRecorder = this.app.audio.recorderFor(this.input);
+        this.takeOffset = this.app.audio.captureOffset(this.input);
+        this.take = this.takeRecorder.start(startTime + this.takeOffset);
+        this.takeStart = startTime;
+        this.noteTake = { start: startTime, notes: [], held: new Map() };
+        this.state = 'overdubbing';
+        this.updateUI();
+    }
+
+    /**
+     * Punch out and mix the pass into the loop, wrapping at the seam.
+     * Each pass is one undo step.
+     */
+    stopOverdub() {
+        if (this.state !== 'overdubbing') return Promise.resolve();
+        const recorder = this.takeRecorder;
+        const offset = this.takeOffset;
+        const ctx = this.app.audio.ctx;
+        const take = this.take;
+        this.take = null;
+        this.state = 'playing';
+        this.mergeOverdubNotes(this.finishNoteTake(ctx.currentTime));
+        this.updateUI();
+
+        return recorder.stop(take, ctx.currentTime + offset).then(result => {
+            if (!result || !this.buffer) return;
+            const src = result.channels;
+            const count = src[0].length;
+            if (!count) return;
+
+            // Captured audio runs at rate 1; the loop moves `rate` frames per
+            // frame, so resample the pass onto loop positions before mixing.
+            const out = this.copyBuffer(this.buffer.length);
+            const len = out.length;
+            const sr = ctx.sampleRate;
+            const start = Math.round(this.positionAt(result.startFrame / sr - offset) * sr);
+            const outCount = Math.floor(count * this.rate);
+            const fade = Math.min(recorder.toFrame(LOOP_SEAM_FADE), Math.floor(outCount / 2));
+
+            for (let c = 0; c < out.numberOfChannels; c++) {
+                const data = out.getChannelData(c);
+                const input = src[Math.min(c, src.length - 1)];
+                for (let j = 0; j < outCount; j++) {
+                    const x = j / this.rate;
+                    const i0 = Math.floor(x);
+                    const i1 = Math.min(i0 + 1, count - 1);
+                    const sample = input[i0] + (input[i1] - input[i0]) * (x - i0);
+                    // Short ramps at punch-in/out so the edges don't click
+                    let g = 1;
+                    if (j < fade) g = j / fade;
+                    else if (j >= outCount - fade) g = (outCount - j) / fade;
+                    let pos = (start + j) % len;
+                    if (this.reversed) pos = len - 1 - pos;
+                    data[pos] += sample * g;
+                }
+            }
+
+            this.pushHistory();
+            this.setBuffer(out);
+        });
+    }
+
+    /**
+     * Add notes played during an overdub pass at the loop positions they fell on.
+     */
+    mergeOverdubNotes(notes) {
+        if (!notes.length || !this.buffer) return;
+        if (!this.clip) this.clip = new NoteClip(this.duration, [], this.app.clipPlayer.currentVoice());
+        notes.forEach(n => this.clip.add(n.note, n.velocity, this.positionAt(n.on), (n.off - n.on) * this.rate));
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Make the loop `times` cycles long by repeating its content.
+     */
+    multiply(times = 2) {
+        if (!this.buffer || this.isCapturing || times < 2) return;
+        const len = this.buffer.length;
+        const out = this.copyBuffer(len * times);
+        for (let c = 0; c < out.numberOfChannels; c++) {
+            const src = this.buffer.getChannelData(c);
+            for (let k = 1; k < times; k++) out.getChannelData(c).set(src, k * len);
+        }
+        this.pushHistory();
+        this.setBuffer(out);
+    }
+
+    cycleMultiplyFactor() {
+        const i = MULTIPLY_FACTORS.indexOf(this.multiplyFactor);
+        this.multiplyFactor = MULTIPLY_FACTORS[(i + 1) % MULTIPLY_FACTORS.length];
+        this.updateUI();
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Append silent master-length cycles to the loop, ready to overdub into.
+     */
+    insert(cycles = 1) {
+        if (!this.buffer || this.isCapturing || cycles < 1) return;
+        const unit = this.app.looper.masterFrames || this.buffer.length;
+        const out = this.copyBuffer(this.buffer.length + unit * cycles);
+        this.pushHistory();
+        this.setBuffer(out);
+    }
+
+    /**
+     * Cut the loop to the trim points set on the waveform. With other loops
+     * around, the length snaps to a whole number of master loops.
+     */
+    applyTrim() {
+        const trim = this.view.trim;
+        if (!this.buffer || !trim || this.isCapturing) return;
+        const looper = this.app.looper;
+        const start = trim.start;
+        let length = trim.end - trim.start;
+        const others = looper.slots.some(s => s !== this && s.buffer);
+        if (others && looper.masterFrames) {
+            const master = looper.masterFrames;
+            length = Math.max(1, Math.round(length / master)) * master;
+            while (length > master && start + length > this.buffer.length) length -= master;
+            length = Math.min(length, this.buffer.length - start);
+        }
+        if (length <= 0) return;
+
+        const ctx = this.app.audio.ctx;
+        const out = ctx.createBuffer(this.buffer.numberOfChannels, length, this.buffer.sampleRate);
+        for (let c = 0; c < out.numberOfChannels; c++) {
+            out.getChannelData(c).set(this.buffer.getChannelData(c).subarray(start, start + length));
+        }
+        const channels = [];
+        for (let c = 0; c < out.numberOfChannels; c++) channels.push(out.getChannelData(c));
+        fadeEdges(channels, Math.round(0.003 * out.sampleRate));
+
+        if (!others) looper.masterFrames = length;
+        this.view.trim = null;
+        this.pushHistory();
+        this.setBuffer(out);
+    }
+
+    undo() {
+        if (!this.history.length || this.isCapturing) return;
+        this.redoStack.push(this.buffer);
+        this.setBuffer(this.history.pop());
+    }
+
+    redo() {
+        if (!this.redoStack.length || this.isCapturing) return;
+        this.history.push(this.buffer);
+        this.setBuffer(this.redoStack.pop());
+    }
+
+    pushHistory() {
+        this.history.push(this.buffer);
+        if (this.history.length > LOOP_HISTORY_DEPTH) this.history.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * Copy of the current loop into a new buffer of `length` frames (zero padded).
+     */
+    copyBuffer(length) {
+        const ctx = this.app.audio.ctx;
+        const out = ctx.createBuffer(this.buffer.numberOfChannels, length, this.buffer.sampleRate);
+        for (let c = 0; c < out.numberOfChannels; c++) {
+            out.getChannelData(c).set(this.buffer.getChannelData(c).subarray(0, length));
+        }
+        return out;
+    }
+
+    /**
+     * Swap in a new loop buffer (or null for empty) without losing the
+     * current playback position.
+     */
+    setBuffer(buffer) {
+        const ctx = this.app.audio.ctx;
+        const wasPlaying = this.state === 'playing';
+        const when = ctx.currentTime + 0.005;
+        const phase = this.buffer ? this.positionAt(when) : 0;
+        this.buffer = buffer;
+        this.app.session.markAudioDirty(this);
+
+        if (!buffer) {
+            this.stopSource();
+            this.state = 'empty';
+            this.updateUI();
+            this.app.looper.checkEmpty();
+            return;
+        }
+        if (!this.app.looper.masterFrames) this.app.looper.masterFrames = buffer.length;
+
+        this.anchor = when - phase / this.rate - this.nudge / 1000;
+        if (wasPlaying) {
+            this.play(when);
+        } else {
+            if (this.state === 'empty') this.state = 'stopped';
+            this.updateUI();
+        }
+    }
+
+    /**
+     * Playback position (seconds into the playing buffer) at an AudioContext time.
+     * Reversed playback runs the reversed buffer from the same position, so
+     * every loop stays locked to its cycle whatever its direction or speed.
+     */
+    positionAt(time) {
+        const d = this.duration;
+        return (((time - this.anchor - this.nudge / 1000) * this.rate) % d + d) % d;
+    }
+
+    get playbackBuffer() {
+        if (!this.reversed) return this.buffer;
+        if (this.reversedFor !== this.buffer) {
+            this.reversedCache = reverseBuffer(this.app.audio.ctx, this.buffer);
+            this.reversedFor = this.buffer;
+        }
+        return this.reversedCache;
+    }
+
+    /**
+     * Start looping at an AudioContext time, in phase with this.anchor.
+     */
+    play(when = null) {
+        if (!this.buffer) return;
+        this.startSource(when);
+        this.state = 'playing';
+        this.updateUI();
+    }
+
+    startSource(when = null) {
+        const ctx = this.app.audio.ctx;
+        if (when === null) when = ctx.currentTime + 0.005;
+        
+        this.stopSource(when);
+        const src = ctx.createBufferSource();
+        src.buffer = this.playbackBuffer;
+        src.loop = true;
+        src.playbackRate.value = this.rate;
+        src.connect(this.sourceGain);
+        src.start(when, this.positionAt(when));
+        this.source = src;
+        this.sourceStart = when;
+    }
+
+    /**
+     * Swap the running source for one with the current direction/speed.
+     */
+    restartSource() {
+        if (this.buffer) this.startSource();
+    }
+
+    stopSource(when = 0) {
+        if (!this.source) return;
+        try { this.source.stop(when); } catch (e) { /* already stopped */ }
+        this.source = null;
+    }
+    
+    stop(when = 0) {
+        if (this.state === 'armed') return this.disarm();
+        if (this.state === 'recording') return;
+        if (this.state === 'overdubbing') {
+            this.stopOverdub().then(() => this.stop(when));
+            return;
+        }
+        this.stopSource(when);
+        this.app.clipPlayer.silence(this);
+        if (this.state !== 'empty') {
+            this.state = 'stopped';
+            this.updateUI();
+        }
+    }
+
+    clear() {
+        if (this.take) this.takeRecorder.cancel(this.take);
+        this.take = null;
+        this.noteTake = null;
+        this.stopTime = null;
+        this.stopSource();
+        this.setPlayNotes(false);
+        this.clip = null;
+        this.buffer = null;
+        this.reversedCache = null;
+        this.reversedFor = null;
+        this.history = [];
+        this.redoStack = [];
+        this.state = 'empty';
+        this.updateUI();
+        this.app.looper.checkEmpty();
+        this.app.session.markAudioDirty(this);
+    }
+
+    updateUI() {
+        const { status, emptyText } = this.ui;
+        let color = '#374151';
+        let shadow = 'none';
+        let text = 'EMPTY';
+        let textOp = 1;
+
+        if (this.state === 'armed') {
+            color = '#f97316';
+            shadow = '0 0 10px #f97316';
+            text = 'ARMED';
+        } else if (this.state === 'recording') {
+            color = '#ff0033'; 
+            shadow = '0 0 10px #ff0033';
+            text = this.stopTime !== null ? 'CLOSING LOOP...' : 'RECORDING...';
+        } else if (this.state === 'overdubbing') {
+            color = '#c026d3';
+            shadow = '0 0 10px #c026d3';
+            text = 'OVERDUB';
+        } else if (this.state === 'playing') {
+            color = '#00ff00';
+            shadow = '0 0 10px #00ff00';
+            text = '';
+            textOp = 0;
+        } else if (this.state === 'stopped') {
+            color = '#fbbf24';
+            text = '';
+            textOp = 0;
+        }
+        
+        status.style.backgroundColor = color;
+        status.style.boxShadow = shadow;
+        emptyText.style.opacity = textOp;
+        if(text) emptyText.innerText = text;
+
+        const busy = this.isCapturing;
+        const enabled = {
+            overdub: !!this.buffer && this.state !== 'armed' && this.state !== 'recording',
+            undo: this.history.length > 0 && !busy,
+            redo: this.redoStack.length > 0 && !busy,
+            multiply: !!this.buffer && !busy,
+            download: !!this.buffer,
+            notes: !!this.clip && !busy,
+            import: !busy,
+            insert: !!this.buffer && !busy,
+            trim: !!this.buffer && !!this.view.trim && !busy,
+            clear: this.state !== 'empty'
+        };
+        this.ui.actions.forEach(btn => {
+            if (btn.dataset.action === 'multiply-factor') btn.innerText = `X${this.multiplyFactor}`;
+            btn.disabled = enabled[btn.dataset.action] === false;
+            btn.classList.toggle('active', (btn.dataset.action === 'overdub' && this.state === 'overdubbing') ||
+                (btn.dataset.action === 'notes' && this.playNotes));
+        });
+        if (this.app.api) this.app.api.stateChanged();
+    }
+}
+
+class SynthPanel {
+    constructor(app) {
+        this.app = app;
+        this.presets = new PresetStore('wooperlooper.synthPresets', FACTORY_SYNTH_PRESETS);
+        this.currentName = 'Init Saw';
+        this.controls = {};
+        this.bindUI();
+    }
+
+    bindUI() {
+        this.ui = {
+            params: document.getElementById('synth-params'),
+            preset: document.getElementById('synth-preset'),
+            name: document.getElementById('synth-preset-name'),
+            save: document.getElementById('synth-preset-save'),
+            remove: document.getElementById('synth-preset-delete')
+        };
+        if (!this.ui.params) return;
+
+        SYNTH_PARAMS.forEach(def => {
+            if (def.section) {
+                const head = document.createElement('div');
+                head.className = 'panel-section';
+                head.innerText = def.section;
+                this.ui.params.appendChild(head);
+                return;
+            }
+
+            const row = document.createElement('label');
+            row.className = 'panel-row';
+            const label = document.createElement('span');
+            label.innerText = def.label;
+            const val = document.createElement('span');
+            val.className = 'panel-val';
+
+            let input;
+            if (def.options) {
+                input = document.createElement('select');
+                input.className = 'panel-select';
+                def.options.forEach(opt => {
+                    const o = document.createElement('option');
+                    o.value = opt;
+                    o.innerText = opt.toUpperCase();
+                    input.appendChild(o);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = 'range';
+                input.min = def.min;
+                input.max = def.max;
+                input.step = def.step;
+            }
+            input.oninput = () => {
+                const value = def.options ? input.value : Number(input.value);
+                this.app.synth.setParam(def.key, value);
+                this.showValue(def, value);
+                this.app.session.markDirty();
+            };
+
+            row.append(label, input, val);
+            this.ui.params.appendChild(row);
+            this.controls[def.key] = { def, input, val };
+        });
+
+        this.ui.preset.onchange = (e) => this.loadPreset(e.target.value);
+        this.ui.save.onclick = () => this.savePreset(this.ui.name.value.trim());
+        this.ui.remove.onclick = () => this.deletePreset(this.ui.preset.value);
+
+        this.renderPresetList();
+        this.sync();
+    }
+
+    showValue(def, value) {
+        const control = this.controls[def.key];
+        if (!control) return;
+        control.val.innerText = def.options ? '' : `${Number(value).toFixed(def.step < 1 ? (def.step < 0.01 ? 3 : 2) : 0)}${def.unit ? ' ' + def.unit : ''}`;
+    }
+
+    /**
+     * Change one parameter from outside the panel (e.g. a MIDI control).
+     */
+    setParam(key, value) {
+        this.app.synth.setParam(key, value);
+        const control = this.controls[key];
+        if (control) {
+            control.input.value = value;
+            this.showValue(control.def, value);
+        }
+        this.app.session.markDirty();
+    }
+
+    /**
+     * Push the synth's current patch into the controls.
+     */
+    sync() {
+        const patch = this.app.synth.patch;
+        Object.values(this.controls).forEach(({ def, input }) => {
+            input.value = patch[def.key];
+            this.showValue(def, patch[def.key]);
+        });
+    }
+
+    renderPresetList() {
+        this.ui.preset.innerHTML = '';
+        this.presets.names().forEach(name => {
+            const o = document.createElement('option');
+            o.value = name;
+            o.innerText = this.presets.isFactory(name) ? name : `${name} *`;
+            this.ui.preset.appendChild(o);
+        });
+        this.ui.preset.value = this.currentName;
+        this.ui.remove.disabled = this.presets.isFactory(this.currentName);
+    }
+
+    loadPreset(name) {
+        const patch = this.presets.get(name);
+        if (!patch) return;
+        this.currentName = name;
+        this.app.synth.setPatch(patch);
+        this.ui.name.value = this.presets.isFactory(name) ? '' : name;
+        this.renderPresetList();
+        this.sync();
+        this.app.session.markDirty();
+    }
+
+    savePreset(name) {
+        if (!name) {
+            alert("Give the preset a name first.");
+            return;
+        }
+        if (!this.presets.save(name, this.app.synth.patch)) {
+            alert(`"${name}" is a factory preset. Pick another name.`);
+            return;
+        }
+        this.currentName = name;
+        this.renderPresetList();
+    }
+
+    deletePreset(name) {
+        if (this.presets.isFactory(name)) return;
+        this.presets.remove(name);
+        this.currentName = 'Init Saw';
+        this.renderPresetList();
+    }
+}
+
+/**
+ * Drum kit editor: pad grid, per-pad sample layers and settings, kit presets.
+ */
+class PadPanel {
+    constructor(app) {
+        this.app = app;
+        this.note = 'C4'; // Pad being edited
+        this.take = null; // Mic recording in progress
+        this.recordTimer = null;
+        this.bindUI();
+    }
+
+    get pads() { return this.app.synth.pads; }
+
+    bindUI() {
+        this.ui = {
+            panel: document.getElementById('pad-panel'),
+            kit: document.getElementById('kit-select'),
+            kitName: document.getElementById('kit-name'),
+            kitSave: document.getElementById('kit-save'),
+            kitDelete: document.getElementById('kit-delete'),
+            grid: document.getElementById('pad-grid'),
+            note: document.getElementById('pad-note'),
+            pitch: document.getElementById('pad-pitch'),
+            pitchVal: document.getElementById('pad-pitch-val'),
+            level: document.getElementById('pad-level'),
+            choke: document.getElementById('pad-choke'),
+            mode: document.getElementById('pad-mode'),
+            layers: document.getElementById('pad-layers'),
+            load: document.getElementById('pad-load'),
+            file: document.getElementById('pad-file'),
+            rec: document.getElementById('pad-rec'),
+            clear: document.getElementById('pad-clear')
+        };
+        if (!this.ui.panel) return;
+
+        ALL_NOTES.forEach(note => {
+            const o = document.createElement('option');
+            o.value = note;
+            o.innerText = note;
+            this.ui.note.appendChild(o);
+        });
+        for (let g = 0; g <= PAD_CHOKE_GROUPS; g++) {
+            const o = document.createElement('option');
+            o.value = g;
+            o.innerText = g ? `GROUP ${g}` : 'OFF';
+            this.ui.choke.appendChild(o);
+        }
+
+        this.ui.note.onchange = () => this.select(this.ui.note.value);
+        this.ui.pitch.oninput = () => this.setPadParam('pitch', Number(this.ui.pitch.value));
+        this.ui.level.oninput = () => this.setPadParam('level', Number(this.ui.level.value));
+        this.ui.choke.onchange = () => this.setPadParam('choke', Number(this.ui.choke.value));
+        this.ui.mode.onchange = () => this.setPadParam('mode', this.ui.mode.value);
+
+        this.ui.load.onclick = () => this.ui.file.click();
+        this.ui.file.onchange = (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadFile(file);
+        };
+        this.ui.rec.onclick = () => (this.take ? this.stopRecording() : this.startRecording());
+        this.ui.clear.onclick = () => {
+            this.pads.clearPad(this.note);
+            this.changed();
+        };
+
+        this.ui.kit.onchange = () => this.loadKit(this.ui.kit.value);
+        this.ui.kitSave.onclick = () => this.saveKit(this.ui.kitName.value.trim());
+        this.ui.kitDelete.onclick = () => this.deleteKit(this.ui.kit.value);
+
+        // Hitting a pad from MIDI while the editor is open selects it
+        this.pads.onTrigger = (note) => {
+            if (!this.ui.panel.classList.contains('hidden') && note !== this.note) this.select(note);
+        };
+        // The pad grid follows the keyboard's range
+        this.app.keyboard.onChange(() => this.render());
+
+        this.render();
+    }
+
+    select(note) {
+        this.note = note;
+        this.render();
+    }
+
+    setPadParam(key, value) {
+        this.pads.getPad(this.note, true)[key] = value;
+        this.changed();
+    }
+
+    changed() {
+        this.render();
+        this.app.session.markKitDirty();
+    }
+
+    async loadFile(file) {
+        try {
+            const buffer = await this.app.audio.ctx.decodeAudioData(await file.arrayBuffer());
+            this.pads.addLayer(this.note, buffer, file.name.replace(/\.[^.]+$/, ''));
+            this.changed();
+        } catch (e) {
+            console.error("Pad Sample Load Failed:", e);
+            alert("Could not load sample: " + e.message);
+        }
+    }
+
+    startRecording() {
+        const ctx = this.app.audio.ctx;
+        this.take = this.app.audio.recorder.start(ctx.currentTime);
+        this.recordTimer = setTimeout(() => this.stopRecording(), PAD_MAX_RECORD * 1000);
+        this.render();
+    }
+
+    async stopRecording() {
+        clearTimeout(this.recordTimer);
+        const take = this.take;
+        this.take = null;
+        this.render();
+        const ctx = this.app.audio.ctx;
+        const result = await this.app.audio.recorder.stop(take, ctx.currentTime);
+        if (!result) return;
+
+        const channels = trimSilence(result.channels);
+        if (!channels[0].length) {
+            alert("Nothing was recorded.");
+            return;
+        }
+        fadeEdges(channels, Math.round(0.003 * ctx.sampleRate));
+        const buffer = ctx.createBuffer(channels.length, channels[0].length, ctx.sampleRate);
+        channels.forEach((data, c) => buffer.copyToChannel(data, c));
+        this.pads.addLayer(this.note, buffer, 'Mic take');
+        this.changed();
+    }
+
+    async renderKitList() {
+        const names = await this.app.session.listKits();
+        this.ui.kit.innerHTML = '';
+        [KIT_DEFAULT_NAME, ...names].forEach(name => {
+            const o = document.createElement('option');
+            o.value = name;
+            o.innerText = name;
+            this.ui.kit.appendChild(o);
+        });
+        this.ui.kit.value = this.pads.name;
+        this.ui.kitDelete.disabled = this.pads.name === KIT_DEFAULT_NAME;
+    }
+
+    async loadKit(name) {
+        try {
+            const kit = name === KIT_DEFAULT_NAME ? null : await this.app.session.loadKit(name);
+            this.pads.setState(kit ? { ...kit, name } : null);
+            this.ui.kitName.value = kit ? name : '';
+            this.changed();
+            this.renderKitList();
+        } catch (e) {
+            console.error("Kit Load Failed:", e);
+        }
+    }
+
+    async saveKit(name) {
+        if (!name || name === KIT_DEFAULT_NAME || name === KIT_SESSION_KEY) {
+            alert("Give the kit a name first.");
+            return;
+        }
+        try {
+            this.pads.name = name;
+            await this.app.session.saveKit(name, this.pads.getState());
+            this.changed();
+            this.renderKitList();
+        } catch (e) {
+            console.error("Kit Save Failed:", e);
+            alert("Could not save kit: " + e.message);
+        }
+    }
+
+    async deleteKit(name) {
+        if (name === KIT_DEFAULT_NAME) return;
+        try {
+            await this.app.session.deleteKit(name);
+            await this.loadKit(KIT_DEFAULT_NAME);
+        } catch (e) {
+            console.error("Kit Delete Failed:", e);
+        }
+    }
+
+    /**
+     * What a note plays when it has no sample: the synthesized voice for its pitch class.
+     */
+    fallbackLabel(note) {
+        const pitchClass = note.replace(/-?\d+$/, '');
+        const voice = DRUM_VOICES.find(v => v.pitches.includes(pitchClass));
+        return voice ? voice.label : '-';
+    }
+
+    render() {
+        if (!this.ui.panel) return;
+
+        // Keyboard pads first, then any other note that has a pad
+        const keyNotes = this.app.keyboard.mappedNotes();
+        const notes = [...keyNotes, ...Object.keys(this.pads.pads).filter(n => !keyNotes.includes(n))];
+        this.ui.grid.innerHTML = '';
+        notes.forEach(note => {
+            const pad = this.pads.getPad(note);
+            const btn = document.createElement('button');
+            btn.className = 'drum-pad';
+            btn.classList.toggle('selected', note === this.note);
+            btn.classList.toggle('sampled', this.pads.hasSample(note));
+            const label = this.pads.hasSample(note) ? pad.layers[pad.layers.length - 1].name : this.fallbackLabel(note);
+            btn.innerHTML = `<span class="drum-pad-note">${note}</span><span class="drum-pad-name"></span>`;
+            btn.querySelector('.drum-pad-name').innerText = label;
+            btn.onclick = () => {
+                this.select(note);
+                this.app.synth.playDrum(note);
+            };
+            this.ui.grid.appendChild(btn);
+        });
+
+        const pad = this.pads.getPad(this.note) || DrumPads.emptyPad();
+        this.ui.note.value = this.note;
+        this.ui.pitch.value = pad.pitch;
+        this.ui.pitchVal.innerText = `${pad.pitch > 0 ? '+' : ''}${pad.pitch} st`;
+        this.ui.level.value = pad.level;
+        this.ui.choke.value = pad.choke;
+        this.ui.mode.value = pad.mode;
+        this.ui.rec.innerText = this.take ? 'STOP' : 'REC';
+        this.ui.rec.classList.toggle('active', !!this.take);
+
+        this.ui.layers.innerHTML = '';
+        pad.layers.forEach((layer, i) => {
+            const row = document.createElement('div');
+            row.className = 'pad-layer-row';
+            const name = document.createElement('span');
+            name.innerText = `${layer.name} (${layer.buffer.duration.toFixed(2)}s)`;
+            const vel = document.createElement('input');
+            vel.type = 'number';
+            vel.min = 1;
+            vel.max = 127;
+            vel.value = Math.round(layer.maxVelocity * 127);
+            vel.title = 'Highest velocity this layer plays for';
+            vel.onchange = () => {
+                layer.maxVelocity = Math.max(1, Math.min(127, Number(vel.value) || 127)) / 127;
+                this.pads.sortLayers(pad);
+                this.changed();
+            };
+            const remove = document.createElement('button');
+            remove.className = 'panel-btn';
+            remove.innerText = '×';
+            remove.onclick = () => {
+                this.pads.removeLayer(this.note, i);
+                this.changed();
+            };
+            row.append(name, vel, remove);
+            this.ui.layers.appendChild(row);
+        });
+        if (!pad.layers.length) {
+            this.ui.layers.innerHTML = `<div class="text-gray-600 text-xs">No samples: plays the synthesized ${this.fallbackLabel(this.note)}.</div>`;
+        }
+    }
+}
+
+/**
+ * Computer keyboard and on-screen piano: keymap, octave/transpose, tuning,
+ * scale lock and chord mode. Everything played here goes through app.noteOn/noteOff.
+ */
+class KeyboardControl {
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...KEYBOARD_DEFAULTS };
+        this.keyMap = { ...DEFAULT_KEY_MAP };
+        this.held = new Map();   // Key or piano note -> notes it is sounding
+        this.counts = new Map(); // Note -> how many held keys sound it
+        this.changeListeners = [];
+        this.loadKeyMap();
+        this.renderPiano();
+    }
+
+    loadKeyMap() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(KEYMAP_SETTINGS_KEY));
+            if (stored) this.keyMap = stored;
+        } catch (e) {
+            console.error("Keymap Load Failed:", e);
+        }
+    }
+
+    saveKeyMap() {
+        try {
+            localStorage.setItem(KEYMAP_SETTINGS_KEY, JSON.stringify(this.keyMap));
+        } catch (e) {
+            console.error("Keymap Save Failed:", e);
+        }
+    }
+
+    getState() {
+        return { ...this.settings };
+    }
+
+    setState(state) {
+        this.releaseAll();
+        this.settings = { ...KEYBOARD_DEFAULTS, ...state };
+        TUNING.a4 = this.settings.tuning;
+        this.changed(false);
+    }
+
+    /**
+     * Register fn() to be called whenever the range, keymap or scale changes.
+     */
+    onChange(fn) {
+        this.changeListeners.push(fn);
+        return () => { this.changeListeners = this.changeListeners.filter(f => f !== fn); };
+    }
+
+    changed(dirty = true) {
+        this.renderPiano();
+        this.changeListeners.forEach(fn => fn());
+        if (dirty && this.app.session) this.app.session.markDirty();
+    }
+
+    set(key, value) {
+        if (key === 'octave') value = Math.max(0, Math.min(8, value));
+        if (key === 'transpose') value = Math.max(-12, Math.min(12, value));
+        if (key === 'tuning') {
+            value = Math.max(TUNING.min, Math.min(TUNING.max, Number(value) || 440));
+            TUNING.a4 = value;
+        }
+        this.settings[key] = value;
+        this.changed();
+    }
+
+    shift(key, step) {
+        this.set(key, this.settings[key] + step);
+    }
+
+    /**
+     * Put a key on a semitone slot; the slot's previous key, if any, is freed.
+     */
+    assignKey(key, offset) {
+        this.releaseAll();
+        Object.keys(this.keyMap).forEach(k => {
+            if (this.keyMap[k] === offset) delete this.keyMap[k];
+        });
+        this.keyMap[key] = offset;
+        this.saveKeyMap();
+        this.changed(false);
+    }
+
+    unassignOffset(offset) {
+        this.releaseAll();
+        Object.keys(this.keyMap).forEach(k => {
+            if (this.keyMap[k] === offset) delete this.keyMap[k];
+        });
+        this.saveKeyMap();
+        this.changed(false);
+    }
+
+    resetKeyMap() {
+        this.releaseAll();
+        this.keyMap = { ...DEFAULT_KEY_MAP };
+        this.saveKeyMap();
+        this.changed(false);
+    }
+
+    /** Keys that can't be played because the app already uses them. */
+    isReservedKey(key) {
+        return !!(LOOPER_KEYS[key] || KEYBOARD_SHIFT_KEYS[key]) || /^[0-9]$/.test(key) || key.length !== 1;
+    }
+
+    baseNote() {
+        return (this.settings.octave + 1) * 12 + this.settings.transpose;
+    }
+
+    keyNote(key) {
+        const offset = this.keyMap[key];
+        return offset === undefined ? null : this.baseNote() + offset;
+    }
+
+    /** Note names the keymap reaches, lowest first. */
+    mappedNotes() {
+        return [...new Set(Object.values(this.keyMap))].sort((a, b) => a - b)
+            .map(offset => midiToNote(this.baseNote() + offset)).filter(Boolean);
+    }
+
+    inScale(midi) {
+        return SCALES[this.settings.scale].steps.includes(((midi - this.settings.root) % 12 + 12) % 12);
+    }
+
+    /**
+     * What a key plays: snapped to the scale and/or spread into a chord.
+     * Drum mode always plays the note as is.
+     */
+    voicing(midi) {
+        const { scaleLock, root, scale, chord, chordSize } = this.settings;
+        if (this.app.synth.mode === 'drums') return [midi];
+        const steps = SCALES[scale].steps;
+        if (scaleLock || chord) midi = snapToScale(midi, root, steps);
+        return chord ? scaleChord(midi, root, steps, chordSize) : [midi];
+    }
+
+    press(id, midi, velocity = 1) {
+        if (midi === null || this.held.has(id)) return;
+        const notes = this.voicing(midi).map(midiToNote).filter(Boolean);
+        this.held.set(id, notes);
+        notes.forEach(note => {
+            const count = this.counts.get(note) || 0;
+            this.counts.set(note, count + 1);
+            if (!count) this.app.noteOn(note, velocity);
+        });
+    }
+
+    release(id) {
+        const notes = this.held.get(id);
+        if (!notes) return;
+        this.held.delete(id);
+        notes.forEach(note => {
+            const count = (this.counts.get(note) || 1) - 1;
+            if (count) {
+                this.counts.set(note, count);
+                return;
+            }
+            this.counts.delete(note);
+            this.app.noteOff(note);
+        });
+    }
+
+    releaseAll() {
+        [...this.held.keys()].forEach(id => this.release(id));
+    }
+
+    pressKey(key) {
+        this.press(`key:${key}`, this.keyNote(key));
+    }
+
+    releaseKey(key) {
+        this.release(`key:${key}`);
+    }
+
+    /**
+     * Lowest and highest MIDI note on the piano: the mapped range, widened
+     * to white keys at both ends.
+     */
+    pianoRange() {
+        const offsets = Object.values(this.keyMap);
+        const base = this.baseNote();
+        let low = base + (offsets.length ? Math.min(...offsets) : 0);
+        let high = base + (offsets.length ? Math.max(...offsets) : 12);
+        if (NOTE_NAMES[((low % 12) + 12) % 12].includes('#')) low--;
+        if (NOTE_NAMES[((high % 12) + 12) % 12].includes('#')) high++;
+        return { low: Math.max(0, low), high: Math.min(127, high) };
+    }
+
+    renderPiano() {
+        const container = document.getElementById('piano');
+        if (!container) return;
+        const { low, high } = this.pianoRange();
+        const labels = {};
+        Object.keys(this.keyMap).forEach(k => { labels[this.baseNote() + this.keyMap[k]] = k.toUpperCase(); });
+        const whites = [];
+        for (let m = low; m <= high; m++) if (!midiToNote(m).includes('#')) whites.push(m);
+        const whiteWidth = 100 / whites.length;
+
+        container.innerHTML = '';
+        for (let m = low; m <= high; m++) {
+            const note = midiToNote(m);
+            const black = note.includes('#');
+            const btn = document.createElement('button');
+            btn.className = black ? 'piano-key piano-key-black absolute h-20 z-20' : 'piano-key flex-1 h-full';
+            btn.dataset.note = note;
+            btn.classList.toggle('out-of-scale', this.settings.scaleLock && !this.inScale(m));
+            if (black) {
+                // Centred on the line between its neighbouring white keys
+                const left = whites.indexOf(m + 1) * whiteWidth;
+                btn.style.left = `${left}%`;
+                btn.style.width = `${whiteWidth * 0.6}%`;
+                btn.style.marginLeft = `${-whiteWidth * 0.3}%`;
+            }
+            btn.innerHTML = `<span class="piano-label">${labels[m] || (note.startsWith('C') && !black ? note : '')}</span>`;
+
+            const start = (e) => {
+                if (e.cancelable) e.preventDefault(); // Safer touch
+                this.press(`piano:${note}`, m);
+            };
+            const end = (e) => {
+                if (e.cancelable) e.preventDefault();
+                this.release(`piano:${note}`);
+            };
+            btn.addEventListener('mousedown', start);
+            btn.addEventListener('touchstart', start);
+            btn.addEventListener('mouseup', end);
+            btn.addEventListener('mouseleave', end);
+            btn.addEventListener('touchend', end);
+            container.appendChild(btn);
+        }
+        // Notes still sounding keep their highlight
+        this.counts.forEach((_, note) => this.app.synth.highlightKey(note, true));
+    }
+}
+
+/**
+ * Keys panel: keymap editor, octave/transpose, tuning, scale lock and chords.
+ */
+class KeysPanel {
+    constructor(app) {
+        this.app = app;
+        this.learning = null; // Semitone slot waiting for a key
+        this.bindUI();
+    }
+
+    get keyboard() { return this.app.keyboard; }
+
+    bindUI() {
+        this.ui = {
+            panel: document.getElementById('keys-panel'),
+            octave: document.getElementById('keys-octave'),
+            transpose: document.getElementById('keys-transpose'),
+            tuning: document.getElementById('keys-tuning'),
+            scaleLock: document.getElementById('keys-scale-lock'),
+            root: document.getElementById('keys-root'),
+            scale: document.getElementById('keys-scale'),
+            chord: document.getElementById('keys-chord'),
+            chordSize: document.getElementById('keys-chord-size'),
+            map: document.getElementById('keys-map'),
+            reset: document.getElementById('keys-reset')
+        };
+        if (!this.ui.panel) return;
+
+        NOTE_NAMES.forEach((name, i) => {
+            const o = document.createElement('option');
+            o.value = i;
+            o.innerText = name;
+            this.ui.root.appendChild(o);
+        });
+        Object.entries(SCALES).forEach(([id, scale]) => {
+            const o = document.createElement('option');
+            o.value = id;
+            o.innerText = scale.label;
+            this.ui.scale.appendChild(o);
+        });
+        CHORD_SIZES.forEach(size => {
+            const o = document.createElement('option');
+            o.value = size.value;
+            o.innerText = size.label;
+            this.ui.chordSize.appendChild(o);
+        });
+
+        this.ui.panel.querySelectorAll('[data-keys-shift]').forEach(btn => {
+            const [key, step] = btn.dataset.keysShift.split(':');
+            btn.onclick = () => this.keyboard.shift(key, Number(step));
+        });
+        this.ui.tuning.onchange = () => this.keyboard.set('tuning', Number(this.ui.tuning.value));
+        this.ui.scaleLock.onclick = () => this.keyboard.set('scaleLock', !this.keyboard.settings.scaleLock);
+        this.ui.chord.onclick = () => this.keyboard.set('chord', !this.keyboard.settings.chord);
+        this.ui.root.onchange = () => this.keyboard.set('root', Number(this.ui.root.value));
+        this.ui.scale.onchange = () => this.keyboard.set('scale', this.ui.scale.value);
+        this.ui.chordSize.onchange = () => this.keyboard.set('chordSize', Number(this.ui.chordSize.value));
+        this.ui.reset.onclick = () => this.keyboard.resetKeyMap();
+
+        // While learning, the next key press lands on the waiting slot
+        document.addEventListener('keydown', e => {
+            if (this.learning === null || this.ui.panel.classList.contains('hidden')) return;
+            e.preventDefault();
+            const key = e.key.toLowerCase();
+            const offset = this.learning;
+            this.learning = null;
+            if (key === 'escape') return this.render();
+            if (key === 'backspace' || key === 'delete') return this.keyboard.unassignOffset(offset);
+            if (this.keyboard.isReservedKey(key)) {
+                alert(`"${e.key}" is already used by the looper.`);
+                return this.render();
+            }
+            this.keyboard.assignKey(key, offset);
+        });
+
+        this.keyboard.onChange(() => this.render());
+        this.render();
+    }
+
+    render() {
+        if (!this.ui.panel) return;
+        const { settings, keyMap } = this.keyboard;
+        const base = this.keyboard.baseNote();
+        this.ui.octave.innerText = settings.octave;
+        this.ui.transpose.innerText = settings.transpose > 0 ? `+${settings.transpose}` : settings.transpose;
+        this.ui.tuning.value = settings.tuning;
+        this.ui.scaleLock.classList.toggle('active', settings.scaleLock);
+        this.ui.chord.classList.toggle('active', settings.chord);
+        this.ui.root.value = settings.root;
+        this.ui.scale.value = settings.scale;
+        this.ui.chordSize.value = settings.chordSize;
+
+        // One button per semitone slot, showing the key on it
+        const keys = {};
+        Object.keys(keyMap).forEach(k => { keys[keyMap[k]] = k; });
+        this.ui.map.innerHTML = '';
+        for (let offset = 0; offset <= KEY_MAP_SPAN; offset++) {
+            const btn = document.createElement('button');
+            btn.className = 'keymap-slot';
+            btn.classList.toggle('learning', this.learning === offset);
+            btn.classList.toggle('black', NOTE_NAMES[((base + offset) % 12 + 12) % 12].includes('#'));
+            btn.title = 'Click, then press a key (Backspace clears, Esc cancels)';
+            btn.innerHTML = `<span class="keymap-note">${midiToNote(base + offset) || '-'}</span><span class="keymap-key">${this.learning === offset ? '?' : (keys[offset] || '').toUpperCase()}</span>`;
+            btn.onclick = () => {
+                this.learning = this.learning === offset ? null : offset;
+                this.render();
+            };
+            this.ui.map.appendChild(btn);
+        }
+    }
+}
+
+/**
+ * Scriptable control surface on window.app.api, for pedals, other apps and tests.
+ *
+ * Commands (slot = track index from 0 or track uid; omitted = selected track):
+ *   record(slot), overdub(slot), play(slot?), stop(slot?), playAll(), stopAll(),
+ *   undo(slot), redo(slot), multiply(slot, factor = track's factor, 2-4), insert(slot, cycles = 1, up to 4), clear(slot),
+ *   mute(slot, on?), solo(slot, on?), reverse(slot, on?) - on omitted toggles,
+ *   setVolume(slot, 0..1), setPan(slot, -1..1), setSend(slot, 'reverb'|'delay', 0..1),
+ *   select(slot), addTrack(), removeTrack(slot),
+ *   setBpm(bpm), tap(), setTimeSignature(beats, unit), setClick(on), setMasterVolume(0..1),
+ *   noteOn(note, velocity = 1), noteOff(note), launchScene(index | id), playSong(from = 0), stopSong(),
+ *   getState()
+ * Bad arguments throw.
+ *
+ * Events, via on(event, fn(data)) (returns an unsubscribe function; '*' gets fn(event, data)):
+ *   slot      a track's state or mix changed     - describeSlot() object
+ *   tracks    tracks were added or removed       - { tracks: [describeSlot()] }
+ *   selected  selected track changed             - { index }
+ *   tempo     { bpm }
+ *   transport { running }
+ *   beat      scheduled ahead of time            - { bar, beat, time } (time on the audio clock)
+ *   note      a note played or captured          - { note, on, velocity }
+ *   scene     scene or song playback changed     - { current, queued, songPlaying }
+ */
+class ControlApi {
+    constructor(app) {
+        this.app = app;
+        this.listeners = {};  // event -> [fn]
+        this.last = { slots: new Map(), tracks: '', selected: null, scene: '' };
+        this.diffTimer = null;
+    }
+
+    /**
+     * Subscribe to the subsystems' own listeners. Called once everything exists.
+     */
+    attach() {
+        const { metronome, synth } = this.app;
+        metronome.onTempo(bpm => this.emit('tempo', { bpm }));
+        metronome.onTransport(running => this.emit('transport', { running }));
+        metronome.onBeat((beat, time) => {
+            const pos = metronome.position(beat);
+            this.emit('beat', { bar: pos.bar, beat: pos.beat, time });
+        });
+        synth.onNote((note, on, velocity) => this.emit('note', { note, on, velocity }));
+        this.diff();
+    }
+
+    on(event, fn) {
+        if (event !== '*' && !API_EVENTS.includes(event)) throw new Error(`Unknown event: ${event}`);
+        if (!this.listeners[event]) this.listeners[event] = [];
+        this.listeners[event].push(fn);
+        return () => { this.listeners[event] = this.listeners[event].filter(f => f !== fn); };
+    }
+
+    emit(event, data) {
+        const call = (fn, ...args) => {
+            try {
+                fn(...args);
+            } catch (e) {
+                console.error("API Listener Failed:", e);
+            }
+        };
+        (this.listeners[event] || []).forEach(fn => call(fn, data));
+        (this.listeners['*'] || []).forEach(fn => call(fn, event, data));
+    }
+
+    /**
+     * Something may have changed; compare and emit on the next turn, so a
+     * burst of changes comes out as one event per track.
+     */
+    stateChanged() {
+        if (this.diffTimer !== null) return;
+        this.diffTimer = setTimeout(() => {
+            this.diffTimer = null;
+            this.diff();
+        }, 0);
+    }
+
+    diff() {
+        const { looper, scenes } = this.app;
+        const tracks = looper.slots.map(s => s.uid).join(',');
+        if (tracks !== this.last.tracks) {
+            this.last.tracks = tracks;
+            this.emit('tracks', { tracks: looper.slots.map(s => this.describeSlot(s)) });
+        }
+        const seen = new Set();
+        looper.slots.forEach(slot => {
+            seen.add(slot.uid);
+            const info = this.describeSlot(slot);
+            const json = JSON.stringify(info);
+            if (this.last.slots.get(slot.uid) === json) return;
+            this.last.slots.set(slot.uid, json);
+            this.emit('slot', info);
+        });
+        [...this.last.slots.keys()].forEach(uid => { if (!seen.has(uid)) this.last.slots.delete(uid); });
+
+        if (this.app.selectedSlot !== this.last.selected) {
+            this.last.selected = this.app.selectedSlot;
+            this.emit('selected', { index: this.app.selectedSlot });
+        }
+        if (scenes) {
+            const scene = this.describeScene();
+            const json = JSON.stringify(scene);
+            if (json !== this.last.scene) {
+                this.last.scene = json;
+                this.emit('scene', scene);
+            }
+        }
+    }
+
+    describeSlot(slot) {
+        return {
+            index: slot.index,
+            uid: slot.uid,
+            name: slot.name,
+            state: slot.state,
+            length: slot.buffer ? slot.buffer.duration : 0,
+            volume: slot.volume,
+            pan: slot.pan,
+            sends: { ...slot.sends },
+            muted: slot.muted,
+            soloed: slot.soloed,
+            reversed: slot.reversed,
+            rate: slot.rate,
+            notes: !!slot.clip,
+            playNotes: slot.playNotes
+        };
+    }
+
+    describeScene() {
+        const scenes = this.app.scenes;
+        return { current: scenes.current, queued: scenes.queued ? scenes.queued.id : null, songPlaying: scenes.songPlaying };
+    }
+
+    /**
+     * Run a command by name, e.g. from the remote. Throws on unknown commands.
+     */
+    run(name, args = []) {
+        if (!API_COMMANDS.includes(name)) throw new Error(`Unknown command: ${name}`);
+        return this[name](...(Array.isArray(args) ? args : [args]));
+    }
+
+    // --- Commands ---
+
+    slotIndex(slot) {
+        const slots = this.app.looper.slots;
+        if (slot === undefined || slot === null) return this.app.selectedSlot;
+        const index = typeof slot === 'string' ? slots.findIndex(s => s.uid === slot) : Number(slot);
+        if (!Number.isInteger(index) || !slots[index]) throw new Error(`No such track: ${slot}`);
+        return index;
+    }
+
+    slotAt(slot) {
+        return this.app.looper.slots[this.slotIndex(slot)];
+    }
+
+    unit(value, min = 0, max = 1) {
+        const n = Number(value);
+        if (!Number.isFinite(n)) throw new Error(`Not a number: ${value}`);
+        return Math.max(min, Math.min(max, n));
+    }
+
+    record(slot) { this.app.looper.perform('record', this.slotIndex(slot)); }
+    overdub(slot) { this.app.looper.perform('overdub', this.slotIndex(slot)); }
+    undo(slot) { this.app.looper.perform('undo', this.slotIndex(slot)); }
+    redo(slot) { this.app.looper.perform('redo', this.slotIndex(slot)); }
+    clear(slot) { this.app.looper.perform('clear', this.slotIndex(slot)); }
+    multiply(slot, factor) {
+        const s = this.slotAt(slot);
+        if (factor === undefined) return s.multiply(s.multiplyFactor);
+        s.multiply(Math.round(this.unit(factor, 2, Math.max(...MULTIPLY_FACTORS))));
+    }
+
+    insert(slot, cycles = 1) { this.slotAt(slot).insert(Math.round(this.unit(cycles, 1, Math.max(...MULTIPLY_FACTORS)))); }
+
+    play(slot) {
+        if (slot === undefined) return this.app.looper.playAll();
+        const s = this.slotAt(slot);
+        // Switching state under a running take would orphan it
+        if (s.isCapturing) throw new Error(`Track ${s.index} is recording`);
+        s.play();
+    }
+
+    stop(slot) {
+        if (slot === undefined) return this.app.looper.stopAll();
+        this.slotAt(slot).stop();
+    }
+
+    playAll() { this.app.looper.playAll(); }
+    stopAll() { this.app.looper.stopAll(); }
+
+    mute(slot, on) {
+        const s = this.slotAt(slot);
+        s.setMuted(on === undefined ? !s.muted : !!on);
+    }
+
+    solo(slot, on) {
+        const s = this.slotAt(slot);
+        s.setSoloed(on === undefined ? !s.soloed : !!on);
+    }
+
+    reverse(slot, on) {
+        const s = this.slotAt(slot);
+        s.setReversed(on === undefined ? !s.reversed : !!on);
+    }
+
+    setVolume(slot, volume) { this.slotAt(slot).setVolume(this.unit(volume)); }
+    setPan(slot, pan) { this.slotAt(slot).setPan(this.unit(pan, -1, 1)); }
+
+    setSend(slot, bus, level) {
+        if (!['reverb', 'delay'].includes(bus)) throw new Error(`No such send: ${bus}`);
+        this.slotAt(slot).setSend(bus, this.unit(level));
+    }
+
+    select(slot) { this.app.selectSlot(this.slotIndex(slot)); }
+
+    addTrack() {
+        const added = this.app.looper.addSlot();
+        if (!added) throw new Error('Track limit reached');
+        return added.index;
+    }
+
+    removeTrack(slot) { this.app.looper.removeSlot(this.slotIndex(slot)); }
+
+    setBpm(bpm) {
+        this.app.metronome.setBpm(this.unit(bpm, 20, 300));
+        this.app.syncControls();
+        this.app.session.markDirty();
+    }
+
+    tap() {
+        const bpm = this.app.metronome.tap();
+        if (bpm === null) return null;
+        this.app.syncControls();
+        this.app.session.markDirty();
+        return bpm;
+    }
+
+    setTimeSignature(beats, unit = 4) {
+        beats = Math.round(Number(beats));
+        unit = Number(unit);
+        if (!(beats >= 1 && beats <= 16) || ![2, 4, 8, 16].includes(unit)) throw new Error(`Bad time signature: ${beats}/${unit}`);
+        this.app.metronome.setTimeSignature(beats, unit);
+        this.app.sequencer.render();
+        this.app.syncControls();
+        this.app.session.markDirty();
+    }
+
+    setClick(on) { this.app.setClick(!!on); }
+    setMasterVolume(volume) { this.app.setMasterVolume(this.unit(volume)); }
+
+    noteOn(note, velocity = 1) {
+        if (noteToMidi(note) === null) throw new Error(`Not a note: ${note}`);
+        this.app.noteOn(note, this.unit(velocity));
+    }
+
+    noteOff(note) {
+        if (noteToMidi(note) === null) throw new Error(`Not a note: ${note}`);
+        this.app.noteOff(note);
+    }
+
+    launchScene(scene) {
+        const scenes = this.app.scenes;
+        const found = typeof scene === 'number' ? scenes.scenes[scene] : scenes.get(scene);
+        if (!found) throw new Error(`No such scene: ${scene}`);
+        scenes.launch(found.id);
+    }
+
+    playSong(from = 0) { this.app.scenes.playSong(Number(from) || 0); }
+    stopSong() { this.app.scenes.stopSong(); }
+
+    getState() {
+        const { metronome, audio, looper, scenes, synth } = this.app;
+        return {
+            bpm: metronome.bpm,
+            beatsPerBar: metronome.beatsPerBar,
+            beatUnit: metronome.beatUnit,
+            running: metronome.running,
+            click: metronome.isPlaying,
+            masterVolume: audio.masterGain.gain.value,
+            synthMode: synth.mode,
+            selected: this.app.selectedSlot,
+            tracks: looper.slots.map(s => this.describeSlot(s)),
+            scenes: scenes.scenes.map(sc => ({ id: sc.id, name: sc.name })),
+            scene: this.describeScene()
+        };
+    }
 }
 
-class Metronome {
-    constructor(engine) {
-        this.engine = engine;
-        this.isPlaying = false;
-        this.bpm = 120;
-        this.nextNoteTime = 0.0;
+/**
+ * WebSocket client for a local bridge or phone page. Speaks JSON:
+ *   in:  { id?, cmd: 'setVolume', args: [0, 0.5] }  or OSC-style { id?, address: '/looper/setVolume', args: [...] }
+ *   out: { id, ok: true, result } / { id, ok: false, error } replies to messages with an id,
+ *        { event, data } for every app.api event, and { event: 'hello', data: getState() } on connect.
+ * Reconnects with backoff while enabled. URL and on/off live in localStorage.
+ */
+class RemoteControl {
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...REMOTE_DEFAULTS };
+        this.socket = null;
+        this.status = 'off'; // off | connecting | connected | retrying
+        this.retryDelay = REMOTE_RETRY_MS;
+        this.retryTimer = null;
+        this.onStatus = null; // fn(status) for the panel
+        this.loadSettings();
+        app.api.on('*', (event, data) => this.send({ event, data }));
+        if (this.settings.enabled) this.connect();
+    }
+
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(REMOTE_SETTINGS_KEY));
+            if (stored) this.settings = { ...this.settings, ...stored };
+        } catch (e) {
+            console.error("Remote Settings Load Failed:", e);
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(REMOTE_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.error("Remote Settings Save Failed:", e);
+        }
+    }
+
+    setEnabled(on) {
+        this.settings.enabled = on;
+        this.saveSettings();
+        if (on) this.connect();
+        else this.disconnect();
+    }
+
+    setUrl(url) {
+        this.settings.url = url.trim();
+        this.saveSettings();
+        if (this.settings.enabled) this.connect();
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.onStatus) this.onStatus(status);
+    }
+
+    connect() {
+        this.disconnect(false);
+        let socket;
+        try {
+            socket = new WebSocket(this.settings.url);
+        } catch (e) {
+            console.error("Remote Connect Failed:", e);
+            this.scheduleRetry();
+            return;
+        }
+        this.socket = socket;
+        this.setStatus('connecting');
+        socket.onopen = () => {
+            this.retryDelay = REMOTE_RETRY_MS;
+            this.setStatus('connected');
+            this.send({ event: 'hello', data: this.app.api.getState() });
+        };
+        socket.onmessage = (e) => this.handle(e.data);
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.scheduleRetry();
+        };
+    }
+
+    disconnect(updateStatus = true) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        if (updateStatus) this.setStatus('off');
+    }
+
+    scheduleRetry() {
+        if (!this.settings.enabled) return this.setStatus('off');
+        this.setStatus('retrying');
+        this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryDelay = Math.min(REMOTE_RETRY_MAX_MS, this.retryDelay * 2);
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        this.socket.send(JSON.stringify(message));
+    }
+
+    handle(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            this.send({ event: 'error', data: { message: 'Messages must be JSON' } });
+            return;
+        }
+        const id = message.id;
+        const cmd = message.cmd || (typeof message.address === 'string' ? message.address.split('/').pop() : null);
+        try {
+            const result = this.app.api.run(cmd, message.args || []);
+            if (id !== undefined) this.send({ id, ok: true, result: result === undefined ? null : result });
+        } catch (e) {
+            console.error("Remote Command Failed:", e);
+            if (id !== undefined) this.send({ id, ok: false, error: e.message });
+            else this.send({ event: 'error', data: { message: e.message, cmd } });
+        }
+    }
+}
+
+/**
+ * Remote connection settings and status.
+ */
+class RemotePanel {
+    constructor(app) {
+        this.app = app;
+        this.bindUI();
+    }
+
+    get remote() { return this.app.remote; }
+
+    bindUI() {
+        this.ui = {
+            panel: document.getElementById('remote-panel'),
+            url: document.getElementById('remote-url'),
+            enabled: document.getElementById('remote-enabled'),
+            status: document.getElementById('remote-status'),
+            indicator: document.getElementById('ind-remote')
+        };
+        this.remote.onStatus = () => this.render();
+        if (!this.ui.panel) return;
+        this.ui.url.onchange = () => this.remote.setUrl(this.ui.url.value);
+        this.ui.enabled.onclick = () => {
+            this.remote.setEnabled(!this.remote.settings.enabled);
+            this.render();
+        };
+        this.render();
+    }
+
+    render() {
+        const status = this.remote.status;
+        const labels = { off: 'OFF', connecting: 'CONNECTING...', connected: 'CONNECTED', retrying: 'RETRYING...' };
+        if (this.ui.indicator) {
+            const on = status === 'connected';
+            this.ui.indicator.classList.toggle('bg-upsideDown-red', on);
+            this.ui.indicator.classList.toggle('text-white', on);
+            this.ui.indicator.classList.toggle('bg-gray-800', !on);
+            this.ui.indicator.classList.toggle('text-gray-600', !on);
+            this.ui.indicator.innerText = on ? 'REMOTE ON' : 'REMOTE';
+        }
+        if (!this.ui.panel) return;
+        this.ui.url.value = this.remote.settings.url;
+        this.ui.enabled.classList.toggle('active', this.remote.settings.enabled);
+        this.ui.status.innerText = labels[status] || status;
+    }
+}
+
+/**
+ * Arpeggiator settings.
+ */
+class ArpPanel {
+    constructor(app) {
+        this.app = app;
+        this.bindUI();
+    }
+
+    get arp() { return this.app.arp; }
+
+    bindUI() {
+        this.ui = {
+            panel: document.getElementById('arp-panel'),
+            enabled: document.getElementById('arp-enabled'),
+            latch: document.getElementById('arp-latch'),
+            mode: document.getElementById('arp-mode'),
+            rate: document.getElementById('arp-rate'),
+            octaves: document.getElementById('arp-octaves'),
+            gate: document.getElementById('arp-gate'),
+            gateVal: document.getElementById('arp-gate-val'),
+            swing: document.getElementById('arp-swing'),
+            swingVal: document.getElementById('arp-swing-val'),
+            button: document.getElementById('btn-arp')
+        };
+        if (!this.ui.panel) return;
+
+        ARP_MODES.forEach(mode => {
+            const o = document.createElement('option');
+            o.value = mode.id;
+            o.innerText = mode.label;
+            this.ui.mode.appendChild(o);
+        });
+        Object.keys(CLIP_QUANTIZE_GRIDS).forEach(rate => {
+            const o = document.createElement('option');
+            o.value = rate;
+            o.innerText = rate;
+            this.ui.rate.appendChild(o);
+        });
+        for (let n = 1; n <= ARP_MAX_OCTAVES; n++) {
+            const o = document.createElement('option');
+            o.value = n;
+            o.innerText = n === 1 ? '1 OCTAVE' : `${n} OCTAVES`;
+            this.ui.octaves.appendChild(o);
+        }
+
+        this.ui.enabled.onclick = () => this.apply('enabled', !this.arp.settings.enabled);
+        this.ui.latch.onclick = () => this.apply('latch', !this.arp.settings.latch);
+        this.ui.mode.onchange = () => this.apply('mode', this.ui.mode.value);
+        this.ui.rate.onchange = () => this.apply('rate', this.ui.rate.value);
+        this.ui.octaves.onchange = () => this.apply('octaves', Number(this.ui.octaves.value));
+        this.ui.gate.oninput = () => this.apply('gate', Number(this.ui.gate.value));
+        this.ui.swing.oninput = () => this.apply('swing', Number(this.ui.swing.value));
+        this.render();
+    }
+
+    apply(key, value) {
+        this.arp.set(key, value);
+        this.render();
+    }
+
+    render() {
+        if (!this.ui.panel) return;
+        const settings = this.arp.settings;
+        this.ui.enabled.classList.toggle('active', settings.enabled);
+        this.ui.latch.classList.toggle('active', settings.latch);
+        this.ui.mode.value = settings.mode;
+        this.ui.rate.value = settings.rate;
+        this.ui.octaves.value = settings.octaves;
+        this.ui.gate.value = settings.gate;
+        this.ui.gateVal.innerText = `${Math.round(settings.gate * 100)}%`;
+        this.ui.swing.value = settings.swing;
+        this.ui.swingVal.innerText = `${Math.round(50 + settings.swing * 25)}%`;
+        if (this.ui.button) this.ui.button.classList.toggle('text-upsideDown-red', settings.enabled);
+    }
+}
+
+/**
+ * Chromatic tuner on the mic input. Runs only while its panel is open;
+ * the A4 reference is the keyboard's tuning setting.
+ */
+class Tuner {
+    constructor(app) {
+        this.app = app;
+        this.analyser = null;
+        this.block = null;
         this.timerID = null;
-        this.lookahead = 25.0;
-        this.scheduleAheadTime = 0.1;
+        this.muteLoops = false;
+        this.recent = [];  // Last few detected frequencies, for a steadier readout
+        this.lastHeard = 0;
+        this.bindUI();
     }
-    
-    toggle() {
-        this.isPlaying = !this.isPlaying;
-        if (this.isPlaying) {
-            this.engine.ctx.resume();
-            this.nextNoteTime = this.engine.ctx.currentTime;
-            this.scheduler();
-            return true; // Playing
-        } else {
-            clearTimeout(this.timerID);
-            return false; // Stopped
+
+    bindUI() {
+        this.ui = {
+            panel: document.getElementById('tuner-panel'),
+            note: document.getElementById('tuner-note'),
+            octave: document.getElementById('tuner-octave'),
+            cents: document.getElementById('tuner-cents'),
+            needle: document.getElementById('tuner-needle'),
+            freq: document.getElementById('tuner-freq'),
+            reference: document.getElementById('tuner-reference'),
+            mute: document.getElementById('tuner-mute')
+        };
+        if (!this.ui.panel) return;
+
+        this.ui.reference.onchange = () => this.app.keyboard.set('tuning', Number(this.ui.reference.value));
+        this.ui.mute.onclick = () => {
+            this.muteLoops = !this.muteLoops;
+            if (this.timerID !== null) this.app.looper.setSilenced(this.muteLoops);
+            this.renderControls();
+        };
+        this.app.keyboard.onChange(() => this.renderControls());
+        this.renderControls();
+        this.show(null);
+    }
+
+    start() {
+        const audio = this.app.audio;
+        if (!this.analyser) {
+            this.analyser = audio.ctx.createAnalyser();
+            this.analyser.fftSize = TUNER_WINDOW;
+            this.block = new Float32Array(TUNER_WINDOW);
+            audio.inputGain.connect(this.analyser);
         }
+        if (this.timerID !== null) return;
+        this.recent = [];
+        if (this.muteLoops) this.app.looper.setSilenced(true);
+        this.tick();
     }
-    
-    scheduler() {
-        while (this.nextNoteTime < this.engine.ctx.currentTime + this.scheduleAheadTime) {
-            this.scheduleNote(this.nextNoteTime);
-            this.nextNote();
+
+    stop() {
+        clearTimeout(this.timerID);
+        this.timerID = null;
+        if (this.app.looper.silenced) this.app.looper.setSilenced(false);
+    }
+
+    tick() {
+        // Closing the panel stops the tuner
+        if (this.ui.panel.classList.contains('hidden')) return this.stop();
+        this.analyser.getFloatTimeDomainData(this.block);
+        const pitch = detectPitch(this.block, this.app.audio.ctx.sampleRate);
+        const now = performance.now();
+        if (pitch) {
+            this.recent.push(pitch.freq);
+            if (this.recent.length > 5) this.recent.shift();
+            this.lastHeard = now;
+            this.show(median(this.recent));
+        } else if (now - this.lastHeard > TUNER_HOLD_MS) {
+            this.recent = [];
+            this.show(null);
         }
-        this.timerID = setTimeout(()=>this.scheduler(), this.lookahead);
+        this.timerID = setTimeout(() => this.tick(), TUNER_INTERVAL_MS);
     }
-    
-    scheduleNote(time) {
-        const osc = this.engine.ctx.createOscillator();
-        const gain = this.engine.ctx.createGain();
-        osc.frequency.value = 1000;
-        gain.gain.value = 0.5;
-        
-        osc.connect(gain).connect(this.engine.masterGain); // Metronome goes to Master, NOT record (usually)
-        // But if user wants to record CLICK? Let's keep it separate for now (just monitoring).
-        
-        osc.start(time);
-        osc.stop(time + 0.05);
-        
-        // Visual
-        const diff = time - this.engine.ctx.currentTime;
-        setTimeout(() => {
-            const el = document.getElementById('btn-metronome');
-            if (el) {
-                el.classList.add('bg-white');
-                setTimeout(() => el.classList.remove('bg-white'), 100);
+
+    show(freq) {
+        if (!this.ui.panel) return;
+        if (!freq) {
+            this.ui.note.innerText = '-';
+            this.ui.octave.innerText = '';
+            this.ui.cents.innerText = '';
+            this.ui.freq.innerText = this.app.audio.micNode ? 'PLAY A NOTE' : 'NO INPUT';
+            this.ui.needle.style.left = '50%';
+            this.ui.needle.classList.remove('in-tune');
+            return;
+        }
+        const note = frequencyToNote(freq, TUNING.a4);
+        const cents = Math.round(note.cents);
+        this.ui.note.innerText = note.name;
+        this.ui.octave.innerText = note.octave;
+        this.ui.cents.innerText = `${cents > 0 ? '+' : ''}${cents}¢`;
+        this.ui.freq.innerText = `${freq.toFixed(1)} HZ`;
+        this.ui.needle.style.left = `${50 + Math.max(-50, Math.min(50, note.cents))}%`;
+        this.ui.needle.classList.toggle('in-tune', Math.abs(note.cents) <= TUNER_IN_TUNE_CENTS);
+    }
+
+    renderControls() {
+        if (!this.ui.panel) return;
+        this.ui.reference.value = TUNING.a4;
+        this.ui.mute.classList.toggle('active', this.muteLoops);
+    }
+}
+
+/**
+ * Metronome options: accent, subdivisions, level, count-in and routing.
+ */
+class ClickPanel {
+    constructor(app) {
+        this.app = app;
+        this.bindUI();
+    }
+
+    get metronome() { return this.app.metronome; }
+
+    bindUI() {
+        this.ui = {
+            toggles: document.querySelectorAll('[data-click-toggle]'),
+            subdivision: document.getElementById('click-subdivision'),
+            countIn: document.getElementById('click-count-in'),
+            level: document.getElementById('click-level'),
+            levelVal: document.getElementById('click-level-val')
+        };
+        if (!this.ui.subdivision) return;
+
+        METRONOME_SUBDIVISIONS.forEach(sub => {
+            const o = document.createElement('option');
+            o.value = sub.value;
+            o.innerText = sub.label;
+            this.ui.subdivision.appendChild(o);
+        });
+        this.ui.toggles.forEach(btn => {
+            btn.onclick = () => this.apply(btn.dataset.clickToggle, !this.metronome.settings[btn.dataset.clickToggle]);
+        });
+        this.ui.subdivision.onchange = () => this.apply('subdivision', Number(this.ui.subdivision.value));
+        this.ui.countIn.onchange = () => this.apply('countIn', Number(this.ui.countIn.value));
+        this.ui.level.oninput = () => this.apply('level', Number(this.ui.level.value));
+        this.render();
+    }
+
+    apply(key, value) {
+        this.metronome.setSetting(key, value);
+        this.render();
+        this.app.session.markDirty();
+    }
+
+    render() {
+        if (!this.ui.subdivision) return;
+        const settings = this.metronome.settings;
+        this.ui.toggles.forEach(btn => btn.classList.toggle('active', !!settings[btn.dataset.clickToggle]));
+        this.ui.subdivision.value = settings.subdivision;
+        this.ui.countIn.value = settings.countIn;
+        this.ui.level.value = settings.level;
+        this.ui.levelVal.innerText = `${Math.round(settings.level * 100)}%`;
+    }
+}
+
+/**
+ * Input device, processing, monitoring and trim.
+ */
+class InputPanel {
+    constructor(app) {
+        this.app = app;
+        this.bindUI();
+    }
+
+    get audio() { return this.app.audio; }
+
+    bindUI() {
+        this.ui = {
+            device: document.getElementById('input-device'),
+            toggles: document.querySelectorAll('[data-input-toggle]'),
+            gain: document.getElementById('input-gain'),
+            gainVal: document.getElementById('input-gain-val'),
+            latency: document.getElementById('input-latency'),
+            calibrate: document.getElementById('input-calibrate'),
+            calibrateReset: document.getElementById('input-calibrate-reset')
+        };
+        if (!this.ui.device) return;
+
+        this.ui.device.onchange = () => this.applySetting('deviceId', this.ui.device.value);
+        this.ui.toggles.forEach(btn => {
+            btn.onclick = () => this.applySetting(btn.dataset.inputToggle, !this.audio.inputSettings[btn.dataset.inputToggle]);
+        });
+        this.ui.gain.oninput = () => {
+            this.audio.setInputSetting('gain', Number(this.ui.gain.value));
+            this.render();
+        };
+        this.ui.calibrate.onclick = () => this.calibrate();
+        this.ui.calibrateReset.onclick = () => {
+            this.audio.clearMeasuredLatency();
+            this.render();
+        };
+
+        // Hot-plug: refresh the list, and reopen if our device went away
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.ondevicechange = async () => {
+                const devices = await this.listDevices();
+                const id = this.audio.inputSettings.deviceId;
+                if (id && !devices.some(d => d.deviceId === id)) await this.audio.setupMic();
+                this.render();
+            };
+        }
+        this.render();
+    }
+
+    async applySetting(key, value) {
+        await this.audio.setInputSetting(key, value);
+        this.render();
+    }
+
+    async calibrate() {
+        this.ui.calibrate.disabled = true;
+        this.ui.calibrate.innerText = 'LISTENING...';
+        try {
+            await this.audio.measureLatency();
+        } catch (e) {
+            console.error("Calibration Failed:", e);
+            alert("Calibration failed: " + e.message);
+        } finally {
+            this.ui.calibrate.disabled = false;
+            this.ui.calibrate.innerText = 'CALIBRATE';
+            this.render();
+        }
+    }
+
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(d => d.kind === 'audioinput');
+    }
+
+    async render() {
+        const settings = this.audio.inputSettings;
+        const devices = await this.listDevices();
+        this.ui.device.innerHTML = '<option value="">DEFAULT</option>';
+        devices.filter(d => d.deviceId && d.deviceId !== 'default').forEach((d, i) => {
+            const o = document.createElement('option');
+            o.value = d.deviceId;
+            o.innerText = d.label || `Input ${i + 1}`;
+            this.ui.device.appendChild(o);
+        });
+        this.ui.device.value = devices.some(d => d.deviceId === settings.deviceId) ? settings.deviceId : '';
+
+        this.ui.toggles.forEach(btn => btn.classList.toggle('active', !!settings[btn.dataset.inputToggle]));
+        this.ui.gain.value = settings.gain;
+        const db = 20 * Math.log10(settings.gain);
+        this.ui.gainVal.innerText = settings.gain > 0 ? `${db >= 0 ? '+' : ''}${db.toFixed(1)} dB` : '-inf';
+        const ms = Math.round(this.audio.roundTripLatency * 1000);
+        const measured = this.audio.measuredLatency !== null;
+        this.ui.latency.innerText = settings.compensate ? `${ms} ms ${measured ? 'MEASURED' : 'REPORTED'}` : 'OFF';
+        this.ui.calibrateReset.disabled = !measured;
+    }
+}
+
+/**
+ * Note clip editor for one slot: voice, quantize, play back, render and export.
+ */
+class ClipPanel {
+    constructor(app) {
+        this.app = app;
+        this.slot = null;
+        this.bindUI();
+    }
+
+    bindUI() {
+        this.ui = {
+            title: document.getElementById('clip-title'),
+            info: document.getElementById('clip-info'),
+            voice: document.getElementById('clip-voice'),
+            play: document.getElementById('clip-play'),
+            grid: document.getElementById('clip-grid'),
+            strength: document.getElementById('clip-strength'),
+            strengthVal: document.getElementById('clip-strength-val'),
+            quantize: document.getElementById('clip-quantize'),
+            render: document.getElementById('clip-render'),
+            midi: document.getElementById('clip-midi'),
+            clear: document.getElementById('clip-clear')
+        };
+        if (!this.ui.voice) return;
+
+        Object.keys(CLIP_QUANTIZE_GRIDS).forEach(grid => {
+            const o = document.createElement('option');
+            o.value = grid;
+            o.innerText = grid;
+            this.ui.grid.appendChild(o);
+        });
+        this.ui.grid.value = '1/16';
+
+        this.ui.voice.onchange = () => {
+            this.slot.setClipVoice(this.voiceFor(this.ui.voice.value));
+            this.render();
+        };
+        this.ui.play.onclick = () => {
+            this.slot.setPlayNotes(!this.slot.playNotes);
+            this.slot.updateUI();
+            this.render();
+        };
+        this.ui.strength.oninput = () => this.render();
+        this.ui.quantize.onclick = () => {
+            this.slot.quantizeClip(CLIP_QUANTIZE_GRIDS[this.ui.grid.value], Number(this.ui.strength.value) / 100);
+            this.render();
+        };
+        this.ui.render.onclick = async () => {
+            this.ui.render.disabled = true;
+            try {
+                await this.slot.renderClip();
+            } catch (e) {
+                console.error("Clip Render Failed:", e);
+                alert("Could not render notes: " + e.message);
+            } finally {
+                this.render();
             }
-        }, diff * 1000);
+        };
+        this.ui.midi.onclick = () => this.slot.exportMidi();
+        this.ui.clear.onclick = () => {
+            this.slot.clearClip();
+            this.app.closePanel('clip-panel');
+        };
+    }
+
+    open(slot) {
+        if (!slot.clip) return;
+        this.slot = slot;
+        this.render();
+        this.app.openPanel('clip-panel');
+    }
+
+    /**
+     * Voice choices: the clip's own, every synth preset, and the drum kits.
+     */
+    voiceOptions() {
+        const presets = this.app.synthPanel.presets;
+        return [
+            { value: 'clip', label: `${this.slot.clip.voice.name} (CURRENT)` },
+            ...presets.names().map(name => ({ value: `patch:${name}`, label: `PATCH: ${name}` })),
+            { value: 'kit', label: `KIT: ${this.app.synth.pads.name}` },
+            { value: 'synth-drums', label: 'KIT: SYNTH DRUMS' }
+        ];
+    }
+
+    voiceFor(value) {
+        if (value === 'kit') return { mode: 'drums', name: this.app.synth.pads.name, pads: true };
+        if (value === 'synth-drums') return { mode: 'drums', name: 'Synth Drums', pads: false };
+        if (value.startsWith('patch:')) {
+            const name = value.slice(6);
+            return { mode: 'synth', name, patch: { ...this.app.synthPanel.presets.get(name) } };
+        }
+        return this.slot.clip.voice;
+    }
+
+    render() {
+        const slot = this.slot;
+        if (!slot || !slot.clip) return;
+        const clip = slot.clip;
+        this.ui.title.innerText = slot.name;
+        const beats = clip.length / this.app.metronome.secondsPerBeat;
+        this.ui.info.innerText = `${clip.notes.length} NOTES / ${beats.toFixed(1)} BEATS`;
+
+        this.ui.voice.innerHTML = '';
+        this.voiceOptions().forEach(opt => {
+            const o = document.createElement('option');
+            o.value = opt.value;
+            o.innerText = opt.label;
+            this.ui.voice.appendChild(o);
+        });
+        this.ui.voice.value = 'clip';
+        this.ui.play.classList.toggle('active', slot.playNotes);
+        this.ui.strengthVal.innerText = `${this.ui.strength.value}%`;
+        this.ui.render.disabled = !slot.buffer || slot.isCapturing;
+    }
+}
+
+/**
+ * Insert racks editor: pick a rack, add effects, reorder, bypass and tweak them.
+ */
+class FxPanel {
+    constructor(app) {
+        this.app = app;
+        this.rackName = 'master';
+        this.bindUI();
+    }
+
+    get rack() { return this.app.audio.fxRack(this.rackName); }
+
+    bindUI() {
+        this.ui = {
+            racks: document.querySelectorAll('[data-fx-rack]'),
+            type: document.getElementById('fx-type'),
+            add: document.getElementById('fx-add'),
+            chain: document.getElementById('fx-chain')
+        };
+        if (!this.ui.chain) return;
+
+        Object.entries(FX_TYPES).forEach(([type, def]) => {
+            const o = document.createElement('option');
+            o.value = type;
+            o.innerText = def.label;
+            this.ui.type.appendChild(o);
+        });
+        this.ui.racks.forEach(btn => {
+            btn.onclick = () => {
+                this.rackName = btn.dataset.fxRack;
+                this.render();
+            };
+        });
+        this.ui.add.onclick = () => {
+            this.rack.add(this.ui.type.value);
+            this.changed();
+        };
+        this.render();
+    }
+
+    changed() {
+        this.render();
+        this.app.session.markDirty();
+    }
+
+    formatValue(def, value) {
+        if (def.options) return '';
+        return `${Number(value).toFixed(def.step < 1 ? (def.step < 0.01 ? 3 : 2) : 0)}${def.unit ? ' ' + def.unit : ''}`;
     }
-    
-    nextNote() {
-        const secondsPerBeat = 60.0 / this.bpm;
-        this.nextNoteTime += secondsPerBeat;
+
+    render() {
+        if (!this.ui.chain) return;
+        const rack = this.rack;
+        this.ui.racks.forEach(btn => btn.classList.toggle('active', btn.dataset.fxRack === this.rackName));
+        this.ui.chain.innerHTML = '';
+        if (!rack.effects.length) {
+            const empty = document.createElement('div');
+            empty.className = 'text-xs text-gray-600 font-bold tracking-widest text-center py-4';
+            empty.innerText = 'NO INSERTS';
+            this.ui.chain.appendChild(empty);
+            return;
+        }
+
+        rack.effects.forEach((effect, index) => {
+            const box = document.createElement('div');
+            box.className = 'fx-unit';
+            box.classList.toggle('bypassed', effect.bypassed);
+
+            const head = document.createElement('div');
+            head.className = 'fx-unit-head';
+            const title = document.createElement('span');
+            title.className = 'flex-grow';
+            title.innerText = `${index + 1}. ${effect.label}`;
+            const button = (text, hint, onclick) => {
+                const btn = document.createElement('button');
+                btn.className = 'panel-btn';
+                btn.innerText = text;
+                btn.title = hint;
+                btn.onclick = () => {
+                    onclick();
+                    this.changed();
+                };
+                return btn;
+            };
+            const bypass = button('BYPASS', 'Pass the signal through untouched', () => rack.setBypass(effect.id, !effect.bypassed));
+            bypass.classList.toggle('active', effect.bypassed);
+            const up = button('\u25B2', 'Move earlier in the chain', () => rack.move(effect.id, index - 1));
+            up.disabled = index === 0;
+            const down = button('\u25BC', 'Move later in the chain', () => rack.move(effect.id, index + 1));
+            down.disabled = index === rack.effects.length - 1;
+            const remove = button('\u00D7', 'Remove', () => rack.remove(effect.id));
+            head.append(title, bypass, up, down, remove);
+            box.appendChild(head);
+
+            effect.def.params.forEach(def => {
+                const row = document.createElement('label');
+                row.className = 'panel-row';
+                const label = document.createElement('span');
+                label.innerText = def.label;
+                const val = document.createElement('span');
+                val.className = 'panel-val';
+                let input;
+                if (def.options) {
+                    input = document.createElement('select');
+                    input.className = 'panel-select';
+                    def.options.forEach(opt => {
+                        const o = document.createElement('option');
+                        o.value = opt;
+                        o.innerText = opt.toUpperCase();
+                        input.appendChild(o);
+                    });
+                } else {
+                    input = document.createElement('input');
+                    input.type = 'range';
+                    input.min = def.min;
+                    input.max = def.max;
+                    input.step = def.step;
+                }
+                input.value = effect.params[def.key];
+                val.innerText = this.formatValue(def, effect.params[def.key]);
+                input.oninput = () => {
+                    const value = def.options ? input.value : Number(input.value);
+                    rack.setParam(effect.id, def.key, value);
+                    val.innerText = this.formatValue(def, value);
+                    this.app.session.markDirty();
+                };
+                row.append(label, input, val);
+                box.appendChild(row);
+            });
+            this.ui.chain.appendChild(box);
+        });
     }
 }
 
-class InputManager {
+class SampleImporter {
     constructor(app) {
         this.app = app;
-        this.midiAccess = null;
+        this.slot = null;
+        this.decoded = null;
+        this.barsTouched = false;
+        this.bindUI();
     }
 
-    async init() {
-        // MIDI Initialization
-        if (navigator.requestMIDIAccess) {
-            try {
-                this.midiAccess = await navigator.requestMIDIAccess();
-                this.updateIndicator('midi', true);
-                
-                this.midiAccess.inputs.forEach(input => {
-                    input.onmidimessage = (m) => this.onMIDIMessage(m);
-                });
-                
-                this.midiAccess.onstatechange = (e) => {
-                     if (e.port.type === 'input' && e.port.state === 'connected') {
-                         e.port.onmidimessage = (m) => this.onMIDIMessage(m);
-                     }
-                };
-            } catch(e) {
-                console.log("MIDI Fail", e);
-                this.updateIndicator('midi', false);
-            }
+    bindUI() {
+        this.ui = {
+            panel: document.getElementById('import-panel'),
+            name: document.getElementById('import-file-name'),
+            start: document.getElementById('import-start'),
+            end: document.getElementById('import-end'),
+            startVal: document.getElementById('import-start-val'),
+            endVal: document.getElementById('import-end-val'),
+            stretch: document.getElementById('import-stretch'),
+            bars: document.getElementById('import-bars'),
+            info: document.getElementById('import-info'),
+            load: document.getElementById('import-load')
+        };
+        if (!this.ui.panel) return;
+
+        this.ui.start.oninput = () => {
+            if (Number(this.ui.start.value) > Number(this.ui.end.value)) this.ui.end.value = this.ui.start.value;
+            this.update();
+        };
+        this.ui.end.oninput = () => {
+            if (Number(this.ui.end.value) < Number(this.ui.start.value)) this.ui.start.value = this.ui.end.value;
+            this.update();
+        };
+        this.ui.stretch.onchange = () => this.update();
+        this.ui.bars.oninput = () => {
+            this.barsTouched = true;
+            this.update();
+        };
+        this.ui.load.onclick = () => this.load();
+    }
+
+    /**
+     * Decode a dropped/picked file and show the trim dialog for `slot`.
+     */
+    async open(slot, file) {
+        try {
+            const data = await file.arrayBuffer();
+            this.decoded = await this.app.audio.ctx.decodeAudioData(data);
+        } catch (e) {
+            console.error("Sample Decode Failed:", e);
+            alert(`Could not read "${file.name}". Try a WAV, MP3 or OGG file.`);
+            return;
         }
+        this.slot = slot;
+        this.barsTouched = false;
+
+        const dur = this.decoded.duration;
+        this.ui.name.innerText = `${file.name} -> ${slot.name}`;
+        [this.ui.start, this.ui.end].forEach(input => { input.max = dur; });
+        this.ui.start.value = 0;
+        this.ui.end.value = dur;
+        this.update();
+        this.app.openPanel('import-panel');
+    }
+
+    get trimFrames() {
+        const sr = this.decoded.sampleRate;
+        const start = Math.floor(Number(this.ui.start.value) * sr);
+        const end = Math.min(this.decoded.length, Math.floor(Number(this.ui.end.value) * sr));
+        return { start, end, length: Math.max(0, end - start) };
     }
 
     /**
-     * Update UI indicators for Hardware/Features
+     * Loop length after fitting to bars, snapped to master-loop multiples
+     * once a master loop exists. In context-rate frames.
      */
-    updateIndicator(type, active) {
-        const el = document.getElementById(`ind-${type}`);
-        if (!el) return;
-        if (active) {
-            el.classList.remove('bg-gray-800', 'text-gray-600');
-            el.classList.add('bg-upsideDown-red', 'text-white');
-            
-            el.innerText = 'MIDI ON';
-            el.style.textShadow = "0 0 5px currentColor";
+    fittedFrames(bars) {
+        const sr = this.app.audio.ctx.sampleRate;
+        let frames = Math.round(bars * this.app.metronome.barDuration * sr);
+        const master = this.app.looper.masterFrames;
+        if (master) frames = Math.max(1, Math.round(frames / master)) * master;
+        return frames;
+    }
+
+    update() {
+        if (!this.decoded) return;
+        const { length } = this.trimFrames;
+        const seconds = length / this.decoded.sampleRate;
+        this.ui.startVal.innerText = Number(this.ui.start.value).toFixed(3) + 's';
+        this.ui.endVal.innerText = Number(this.ui.end.value).toFixed(3) + 's';
+
+        if (!this.barsTouched) {
+            this.ui.bars.value = Math.max(1, Math.round(seconds / this.app.metronome.barDuration));
+        }
+        if (this.ui.stretch.checked) {
+            const target = this.fittedFrames(Number(this.ui.bars.value) || 1) / this.app.audio.ctx.sampleRate;
+            const resampled = length < STRETCH_MIN_FRAMES ? ', too short to stretch: resampled, pitch shifts' : '';
+            this.ui.info.innerText = `${seconds.toFixed(3)}s -> ${target.toFixed(3)}s (x${(target / seconds || 0).toFixed(3)}${resampled}) @ ${this.app.metronome.bpm} BPM`;
         } else {
-             el.className = "px-4 py-1 rounded-full text-xs font-bold tracking-widest bg-gray-800 text-gray-600";
-             el.innerText = 'NO MIDI';
-             el.style.textShadow = "none";
+            this.ui.info.innerText = `${seconds.toFixed(3)}s, as is`;
         }
+        this.ui.load.disabled = length === 0;
     }
 
-    onMIDIMessage(msg) {
-        const [status, data1, data2] = msg.data;
-        const cmd = status & 0xF0;
-        
-        if (cmd === 0x90 && data2 > 0) {
-            const note = this.midiNoteToName(data1);
-            if (note) this.app.synth.playNote(note);
-        } else if (cmd === 0x80 || (cmd === 0x90 && data2 === 0)) {
-            const note = this.midiNoteToName(data1);
-            if (note) this.app.synth.stopNote(note);
-        } else if (cmd === 0xB0 && data1 === 64 && data2 > 64) {
-            this.app.looper.toggleRecord(this.app.selectedSlot);
+    load() {
+        if (!this.decoded || !this.slot) return;
+        const ctx = this.app.audio.ctx;
+        const { start, end, length } = this.trimFrames;
+        if (!length) return;
+
+        let channels = [];
+        for (let c = 0; c < this.decoded.numberOfChannels; c++) {
+            channels.push(this.decoded.getChannelData(c).slice(start, end));
         }
-    }
+        fadeEdges(channels, Math.round(0.003 * this.decoded.sampleRate));
 
-    midiNoteToName(midi) {
-        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const octave = Math.floor(midi / 12) - 1;
-        const note = names[midi % 12];
-        if (midi >= 60 && midi <= 72) return note + octave;
-        return null;
-    }
+        // decodeAudioData already resampled to the context rate
+        let frames = length;
+        if (this.ui.stretch.checked) {
+            frames = this.fittedFrames(Number(this.ui.bars.value) || 1);
+            channels = timeStretch(channels, frames, ctx.sampleRate);
+        }
+
+        const buffer = ctx.createBuffer(channels.length, frames, ctx.sampleRate);
+        channels.forEach((data, c) => buffer.copyToChannel(data, c));
 
+        const slot = this.slot;
+        if (slot.isCapturing) slot.clear();
+        slot.loadSample(buffer);
 
+        this.app.closePanel('import-panel');
+        this.decoded = null;
+        this.slot = null;
+    }
 }
 
-class LoopStation {
+class SessionManager {
     constructor(app) {
         this.app = app;
-        this.slots = [new LoopSlot(0, app), new LoopSlot(1, app), new LoopSlot(2, app)];
+        this.db = null;
+        this.ready = false; // No autosave until the stored session has been restored
+        this.saveTimer = null;
+        this.dirtyAudio = new Set();
+        this.dirtyKit = false;
     }
 
-    toggleRecord(idx) {
-        this.slots.forEach((s, i) => { 
-            if (i !== idx && s.state === 'recording') s.stopRecording(); 
-        });
-        this.slots[idx].toggle();
+    async init() {
+        if (!window.indexedDB) return;
+        try {
+            const req = indexedDB.open(SESSION_DB, SESSION_DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                ['meta', 'audio', 'kits'].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                });
+            };
+            this.db = await idbPromise(req);
+        } catch (e) {
+            console.error("Session DB Error:", e);
+        }
     }
-    
-    stopAll() { this.slots.forEach(s => s.stop()); }
-    playAll() { this.slots.forEach(s => s.play()); }
-}
 
-class LoopSlot {
-    constructor(index, app) {
-        this.index = index;
-        this.app = app;
-        this.state = 'empty';
-        this.chunks = [];
-        this.audioUrl = null;
-        this.audioEl = new Audio();
-        this.audioEl.loop = true;
-        this.gainNode = null;
-        
-        this.bindUI();
+    /**
+     * Schedule an autosave of settings (cheap, debounced).
+     */
+    markDirty() {
+        if (this.app.api) this.app.api.stateChanged();
+        if (!this.ready || !this.db) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 500);
     }
 
-    bindUI() {
-        const id = `slot-${this.index + 1}`;
-        this.ui = {
-            card: document.getElementById(id),
-            status: document.querySelector(`#${id} .status-dot`),
-            emptyText: document.querySelector(`#${id} .empty-text`),
-            slider: document.querySelector(`#${id} input`)
-        };
-
-        this.ui.slider.oninput = (e) => {
-            this.app.selectSlot(this.index);
-            if (this.gainNode) this.gainNode.gain.value = e.target.value;
-        };
+    /**
+     * Schedule an autosave including this track's audio.
+     */
+    markAudioDirty(slot) {
+        this.dirtyAudio.add(slot.uid);
+        this.markDirty();
     }
 
-    toggle() {
-        if (this.state === 'recording') this.stopRecording();
-        else this.startRecording();
+    /**
+     * Schedule an autosave of the working drum kit and its samples.
+     */
+    markKitDirty() {
+        this.dirtyKit = true;
+        this.markDirty();
     }
 
-    startRecording() {
-        this.chunks = [];
-        const stream = this.app.audio.recordDest.stream; 
-        // IMPORTANT: recordDest has Mic + Synth connected in Engine
-        this.recorder = new MediaRecorder(stream);
-        
-        this.recorder.ondataavailable = e => this.chunks.push(e.data);
-        this.recorder.onstop = () => {
-            const blob = new Blob(this.chunks, { type: 'audio/ogg; codecs=opus' });
-            this.audioUrl = URL.createObjectURL(blob);
-            this.state = 'playing';
-            this.updateUI();
-            this.play();
+    /**
+     * Plain-object snapshot of every setting (no audio).
+     */
+    snapshot() {
+        const { audio, metronome, synth, looper } = this.app;
+        return {
+            bpm: metronome.bpm,
+            beatsPerBar: metronome.beatsPerBar,
+            beatUnit: metronome.beatUnit,
+            click: metronome.getState(),
+            synthMode: synth.mode,
+            keyboard: this.app.keyboard.getState(),
+            arp: this.app.arp.getState(),
+            synthPatch: { ...synth.patch },
+            drumKit: synth.kit.getState(),
+            sequencer: this.app.sequencer.getState(),
+            scenes: this.app.scenes.getState(),
+            selectedSlot: this.app.selectedSlot,
+            masterVolume: audio.masterGain.gain.value,
+            limiter: audio.limiterOn,
+            effects: { synth: audio.synthFx.getState(), master: audio.masterFx.getState() },
+            masterFrames: looper.masterFrames,
+            trackCounter: looper.trackCounter,
+            tracks: looper.slots.map(s => s.getSettings())
         };
-
-        this.recorder.start();
-        this.state = 'recording';
-        this.updateUI();
     }
 
-    stopRecording() {
-        if (this.recorder && this.state === 'recording') this.recorder.stop();
+    async save() {
+        if (!this.db) return;
+        try {
+            const state = this.snapshot();
+            const tx = this.db.transaction(['meta', 'audio', 'kits'], 'readwrite');
+            tx.objectStore('meta').put(state, 'current');
+
+            const audioStore = tx.objectStore('audio');
+            this.dirtyAudio.forEach(uid => {
+                const slot = this.app.looper.slots.find(s => s.uid === uid);
+                if (slot && slot.buffer) {
+                    audioStore.put(bufferToRecord(slot.buffer), uid);
+                } else {
+                    audioStore.delete(uid); // Cleared or removed track
+                }
+            });
+            this.dirtyAudio.clear();
+            if (this.dirtyKit) {
+                tx.objectStore('kits').put(this.app.synth.pads.getState(), KIT_SESSION_KEY);
+                this.dirtyKit = false;
+            }
+            await idbPromise(tx);
+        } catch (e) {
+            console.error("Session Save Failed:", e);
+        }
     }
 
-    play() {
-        if (!this.audioUrl) return;
-        
-        if (!this.gainNode) {
-            const src = this.app.audio.ctx.createMediaElementSource(this.audioEl);
-            this.gainNode = this.app.audio.ctx.createGain();
-            this.gainNode.gain.value = this.ui.slider.value;
-            src.connect(this.gainNode).connect(this.app.audio.masterGain);
+    /**
+     * Load the autosaved session, if any. Called once from app.start().
+     */
+    async restore() {
+        try {
+            if (!this.db) return;
+            const state = await idbPromise(this.db.transaction('meta').objectStore('meta').get('current'));
+            if (!state) return;
+
+            const ctx = this.app.audio.ctx;
+            const audioStore = this.db.transaction('audio').objectStore('audio');
+            const records = await Promise.all(state.tracks.map(t => idbPromise(audioStore.get(t.uid))));
+            const buffers = {};
+            records.forEach((rec, i) => {
+                if (rec) buffers[state.tracks[i].uid] = recordToBuffer(ctx, rec);
+            });
+            this.apply(state, buffers);
+            this.dirtyAudio.clear();
+
+            const kit = await this.loadKit(KIT_SESSION_KEY);
+            if (kit) {
+                this.app.synth.pads.setState(kit);
+                this.app.padPanel.render();
+            }
+            console.log("Session Restored");
+        } catch (e) {
+            console.error("Session Restore Failed:", e);
+        } finally {
+            this.ready = true;
         }
-        
-        this.audioEl.src = this.audioUrl;
-        this.audioEl.currentTime = 0;
-        this.audioEl.play().catch(e => console.log("Play failed", e));
-        this.state = 'playing';
-        this.updateUI();
     }
-    
-    stop() {
-        this.audioEl.pause();
-        this.audioEl.currentTime = 0;
-        if (this.state !== 'empty') {
-            this.state = 'stopped';
-            this.updateUI();
+
+    /**
+     * Rebuild the app from a snapshot and a map of track uid -> AudioBuffer.
+     */
+    apply(state, buffers) {
+        const { audio, metronome, looper } = this.app;
+
+        metronome.setBpm(state.bpm);
+        metronome.setTimeSignature(state.beatsPerBar || 4, state.beatUnit || 4);
+        metronome.setState(state.click);
+        this.app.clickPanel.render();
+        if (state.synthMode && state.synthMode !== this.app.synth.mode) this.app.setSynthMode(state.synthMode);
+        this.app.keyboard.setState(state.keyboard);
+        this.app.keysPanel.render();
+        this.app.arp.setState(state.arp);
+        this.app.arpPanel.render();
+        if (state.synthPatch) {
+            this.app.synth.setPatch(state.synthPatch);
+            this.app.synthPanel.sync();
         }
+        if (state.drumKit) this.app.synth.kit.setState(state.drumKit);
+        if (state.sequencer) this.app.sequencer.setState(state.sequencer);
+        else this.app.sequencer.render();
+        audio.masterGain.gain.value = state.masterVolume !== undefined ? state.masterVolume : 0.8;
+        audio.setLimiter(state.limiter !== false);
+        const effects = state.effects || {};
+        FX_RACKS.forEach(name => audio.fxRack(name).setState(effects[name] || []));
+        this.app.fxPanel.render();
+
+        looper.replaceSlots(state.tracks || [], buffers);
+        looper.masterFrames = state.masterFrames || 0;
+        if (!looper.masterFrames) {
+            const first = looper.slots.find(s => s.buffer);
+            if (first) looper.masterFrames = first.buffer.length;
+        }
+        looper.trackCounter = Math.max(looper.trackCounter, state.trackCounter || 0);
+        this.app.scenes.setState(state.scenes);
+
+        this.app.syncControls();
+        this.app.selectSlot(Math.min(state.selectedSlot || 0, looper.slots.length - 1));
     }
 
-    clear() {
-        this.stop();
-        this.audioUrl = null;
-        this.state = 'empty';
-        this.updateUI();
+    /**
+     * Names of saved drum kits (not counting the built-in synth kit).
+     */
+    async listKits() {
+        if (!this.db) return [];
+        const keys = await idbPromise(this.db.transaction('kits').objectStore('kits').getAllKeys());
+        return keys.filter(k => k !== KIT_SESSION_KEY).sort();
     }
 
-    updateUI() {
-        const { status, emptyText } = this.ui;
-        let color = '#374151';
-        let shadow = 'none';
-        let text = 'EMPTY';
-        let textOp = 1;
+    async loadKit(name) {
+        if (!this.db) return null;
+        return idbPromise(this.db.transaction('kits').objectStore('kits').get(name));
+    }
 
-        if (this.state === 'recording') {
-            color = '#ff0033'; 
-            shadow = '0 0 10px #ff0033';
-            text = 'RECORDING...';
-        } else if (this.state === 'playing') {
-            color = '#00ff00';
-            shadow = '0 0 10px #00ff00';
-            text = '';
-            textOp = 0;
-        } else if (this.state === 'stopped') {
-            color = '#fbbf24';
-            text = '';
-            textOp = 0;
+    async saveKit(name, kit) {
+        if (!this.db) return;
+        const tx = this.db.transaction('kits', 'readwrite');
+        tx.objectStore('kits').put(kit, name);
+        await idbPromise(tx);
+    }
+
+    async deleteKit(name) {
+        if (!this.db) return;
+        const tx = this.db.transaction('kits', 'readwrite');
+        tx.objectStore('kits').delete(name);
+        await idbPromise(tx);
+    }
+
+    /**
+     * Download the session as a single JSON file with every loop embedded as WAV.
+     */
+    exportProject() {
+        const state = this.snapshot();
+        state.format = PROJECT_FORMAT;
+        state.version = PROJECT_VERSION;
+        state.tracks.forEach((track, i) => {
+            const buf = this.app.looper.slots[i].buffer;
+            if (!buf) return;
+            const channels = [];
+            for (let c = 0; c < buf.numberOfChannels; c++) channels.push(buf.getChannelData(c));
+            // 32-bit float keeps the round trip lossless and frame-exact
+            track.audio = 'data:audio/wav;base64,' + arrayBufferToBase64(encodeWav(channels, buf.sampleRate, 32));
+        });
+
+        const blob = new Blob([JSON.stringify(state)], { type: 'application/json' });
+        downloadBlob(blob, `wooperlooper-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+
+    async importProject(file) {
+        try {
+            const state = JSON.parse(await file.text());
+            if (state.format !== PROJECT_FORMAT) throw new Error("Not a WooperLooper project file");
+
+            const ctx = this.app.audio.ctx;
+            const buffers = {};
+            for (const track of state.tracks) {
+                if (!track.audio) continue;
+                const data = base64ToArrayBuffer(track.audio.split(',')[1]);
+                buffers[track.uid] = await ctx.decodeAudioData(data);
+                delete track.audio;
+            }
+
+            this.app.looper.stopAll();
+            this.apply(state, buffers);
+            this.app.looper.slots.forEach(s => this.dirtyAudio.add(s.uid));
+            this.markDirty();
+        } catch (e) {
+            console.error("Project Import Failed:", e);
+            alert("Could not import project: " + e.message);
         }
-        
-        status.style.backgroundColor = color;
-        status.style.boxShadow = shadow;
-        emptyText.style.opacity = textOp;
-        if(text) emptyText.innerText = text;
     }
 }
 
@@ -522,7 +7647,28 @@ window.app = {
     inputs: null,
     looper: null,
     metronome: null,
+    session: null,
+    importer: null,
+    synthPanel: null,
+    midiPanel: null,
+    sequencer: null,
+    padPanel: null,
+    inputPanel: null,
+    fxPanel: null,
+    clipPlayer: null,
+    clipPanel: null,
+    scenes: null,
+    clickPanel: null,
+    keyboard: null,
+    keysPanel: null,
+    arp: null,
+    arpPanel: null,
+    tuner: null,
+    api: null,
+    remote: null,
+    remotePanel: null,
     selectedSlot: 0,
+    exportBitDepth: 16,
     
     async start() {
         try {
@@ -537,13 +7683,42 @@ window.app = {
             await this.audio.init();
             
             this.synth = new Synthesizer(this.audio);
+            this.keyboard = new KeyboardControl(this);
+            this.arp = new Arpeggiator(this);
             this.metronome = new Metronome(this.audio);
+            this.session = new SessionManager(this);
             this.looper = new LoopStation(this);
+            this.importer = new SampleImporter(this);
+            this.synthPanel = new SynthPanel(this);
+            this.sequencer = new StepSequencer(this);
+            this.padPanel = new PadPanel(this);
+            this.inputPanel = new InputPanel(this);
+            this.fxPanel = new FxPanel(this);
+            this.clipPlayer = new ClipPlayer(this);
+            this.clipPanel = new ClipPanel(this);
+            this.clipPlayer.start();
+            this.scenes = new SceneManager(this);
+            this.clickPanel = new ClickPanel(this);
+            this.keysPanel = new KeysPanel(this);
+            this.arpPanel = new ArpPanel(this);
+            this.tuner = new Tuner(this);
+            this.metronome.onTempo(bpm => this.audio.setTempo(bpm));
+            this.audio.setClickRecord(this.metronome.settings.clickToRecord);
+            this.audio.setTempo(this.metronome.bpm);
             this.inputs = new InputManager(this);
             await this.inputs.init();
+            this.midiPanel = new MidiPanel(this);
+            this.api = new ControlApi(this);
+            this.api.attach();
+            this.remote = new RemoteControl(this);
+            this.remotePanel = new RemotePanel(this);
 
             this.selectSlot(0);
             this.bindEvents();
+
+            await this.session.init();
+            await this.session.restore();
+            this.padPanel.renderKitList();
             
             console.log("App Started Successfully");
         } catch (e) {
@@ -556,95 +7731,287 @@ window.app = {
         try {
             document.getElementById('btn-stop').onclick = () => this.looper.stopAll();
             document.getElementById('btn-play').onclick = () => this.looper.playAll();
-            document.getElementById('btn-rec').onclick = () => this.looper.toggleRecord(this.selectedSlot);
+            document.getElementById('btn-rec').onclick = () => this.looper.perform('record');
 
             // Metronome
             const btnMeta = document.getElementById('btn-metronome');
             if (btnMeta) {
-                btnMeta.onclick = (e) => {
-                    const playing = this.metronome.toggle();
-                    const icon = e.currentTarget.querySelector('i'); // Safe icon check?
-                    e.currentTarget.classList.toggle('text-upsideDown-red', playing);
-                    if(playing) e.currentTarget.classList.add('animate-pulse');
-                    else e.currentTarget.classList.remove('animate-pulse');
+                btnMeta.onclick = () => this.setClick(!this.metronome.isPlaying);
+            }
+
+            const btnClick = document.getElementById('btn-click-settings');
+            if (btnClick) btnClick.onclick = () => this.openPanel('click-panel');
+            const btnTap = document.getElementById('btn-tap');
+            if (btnTap) {
+                btnTap.onclick = () => {
+                    if (this.metronome.tap() === null) return;
+                    this.syncControls();
+                    this.session.markDirty();
+                };
+            }
+
+            // Transport
+            const inputBpm = document.getElementById('input-bpm');
+            if (inputBpm) {
+                inputBpm.onchange = (e) => {
+                    this.metronome.setBpm(e.target.value);
+                    e.target.value = this.metronome.bpm;
+                    this.session.markDirty();
+                };
+            }
+            const selectSig = document.getElementById('select-timesig');
+            if (selectSig) {
+                selectSig.onchange = (e) => {
+                    const [beats, unit] = e.target.value.split('/').map(Number);
+                    this.metronome.setTimeSignature(beats, unit);
+                    this.sequencer.render();
+                    this.session.markDirty();
+                };
+            }
+
+            // Master strip
+            const masterVol = document.getElementById('master-volume');
+            if (masterVol) {
+                masterVol.oninput = (e) => this.setMasterVolume(Number(e.target.value));
+            }
+            const btnLimiter = document.getElementById('btn-limiter');
+            if (btnLimiter) {
+                btnLimiter.onclick = () => {
+                    this.audio.setLimiter(!this.audio.limiterOn);
+                    this.syncControls();
+                    this.session.markDirty();
                 };
             }
 
             // Drum Toggle
             const btnDrums = document.getElementById('btn-drums');
             if (btnDrums) {
-                btnDrums.onclick = (e) => {
-                    const isDrums = this.synth.mode === 'synth';
-                    this.synth.setMode(isDrums ? 'drums' : 'synth');
-                    
-                    if (window.lucide) {
-                        e.currentTarget.innerHTML = isDrums ? '<i data-lucide="music-2"></i>' : '<i data-lucide="piano"></i>';
-                        window.lucide.createIcons();
-                    } else {
-                        e.currentTarget.innerText = isDrums ? "SYNTH" : "DRUMS";
+                btnDrums.onclick = () => this.setSynthMode(this.synth.mode === 'synth' ? 'drums' : 'synth');
+            }
+
+            // Panels: close buttons and clicks on the backdrop
+            document.querySelectorAll('.panel').forEach(panel => {
+                panel.addEventListener('mousedown', (e) => {
+                    if (e.target === panel) this.closePanel(panel.id);
+                });
+                panel.querySelectorAll('[data-close-panel]').forEach(btn => {
+                    btn.onclick = () => this.closePanel(panel.id);
+                });
+            });
+
+            // Audio export
+            const selectBits = document.getElementById('select-bitdepth');
+            if (selectBits) selectBits.onchange = (e) => { this.exportBitDepth = Number(e.target.value); };
+            const btnBounce = document.getElementById('btn-bounce');
+            const inputCycles = document.getElementById('input-bounce-cycles');
+            if (btnBounce) {
+                btnBounce.onclick = async () => {
+                    const cycles = Math.max(1, Math.round(Number(inputCycles && inputCycles.value) || 1));
+                    btnBounce.disabled = true;
+                    try {
+                        await this.looper.bounce(cycles, this.exportBitDepth);
+                    } catch (e) {
+                        console.error("Bounce Failed:", e);
+                    } finally {
+                        btnBounce.disabled = false;
                     }
-                    
-                    e.currentTarget.classList.toggle('text-upsideDown-blue');
+                };
+            }
+
+            // Synth patch editor
+            const btnPatch = document.getElementById('btn-synth-panel');
+            if (btnPatch) btnPatch.onclick = () => this.openPanel('synth-panel');
+
+            // Input routing
+            const btnInput = document.getElementById('btn-input');
+            if (btnInput) {
+                btnInput.onclick = () => {
+                    this.inputPanel.render();
+                    this.openPanel('input-panel');
+                };
+            }
+
+            // Insert effects
+            const btnFx = document.getElementById('btn-fx');
+            if (btnFx) btnFx.onclick = () => this.openPanel('fx-panel');
+
+            // Drum kit editor
+            const btnKit = document.getElementById('btn-kit');
+            if (btnKit) btnKit.onclick = () => this.openPanel('pad-panel');
+
+            // Scenes and song
+            const btnScenes = document.getElementById('btn-scenes');
+            if (btnScenes) btnScenes.onclick = () => this.openPanel('scene-panel');
+
+            // Step sequencer
+            const btnSeq = document.getElementById('btn-seq');
+            if (btnSeq) btnSeq.onclick = () => this.openPanel('seq-panel');
+
+            // MIDI panel
+            const indMidi = document.getElementById('ind-midi');
+            if (indMidi) indMidi.onclick = () => this.openPanel('midi-panel');
+            const indRemote = document.getElementById('ind-remote');
+            if (indRemote) indRemote.onclick = () => this.openPanel('remote-panel');
+
+            // Session
+            const btnExport = document.getElementById('btn-export');
+            if (btnExport) btnExport.onclick = () => this.session.exportProject();
+            const btnImport = document.getElementById('btn-import');
+            const inputImport = document.getElementById('input-import');
+            if (btnImport && inputImport) {
+                btnImport.onclick = () => inputImport.click();
+                inputImport.onchange = (e) => {
+                    const file = e.target.files[0];
+                    if (file) this.session.importProject(file);
+                    e.target.value = '';
                 };
             }
 
             // Keys
-            const handleKey = (k, down) => {
-                if (k === ' ') { 
+            const handleKey = (k, down, e) => {
+                if (e.ctrlKey || e.metaKey) {
+                    if (down && k === 'z') {
+                        e.preventDefault();
+                        this.looper.perform(e.shiftKey ? 'redo' : 'undo');
+                    } else if (down && k === 'y') {
+                        e.preventDefault();
+                        this.looper.perform('redo');
+                    }
+                    return;
+                }
+                // 1-9, 0 select tracks 1-10; [ and ] step through the rest
+                if (/^[0-9]$/.test(k)) {
+                    if (down) this.selectSlot(k === '0' ? 9 : Number(k) - 1);
+                    return;
+                }
+                if (LOOPER_KEYS[k]) { 
                     if (down) {
                         // Prevent scroll if needed, though handled by CSS often triggers default
-                        this.looper.toggleRecord(this.selectedSlot);
+                        this.looper.perform(LOOPER_KEYS[k]);
                     }
                     return; 
                 }
-                if (!KEY_MAP) return;
-                const note = KEY_MAP[k];
-                if (note) {
-                     if (down) this.synth.playNote(note);
-                     else this.synth.stopNote(note);
+                if (KEYBOARD_SHIFT_KEYS[k]) {
+                    if (down) this.keyboard.shift(...KEYBOARD_SHIFT_KEYS[k]);
+                    return;
                 }
+                if (down) this.keyboard.pressKey(k);
+                else this.keyboard.releaseKey(k);
             };
 
+            // Leave typing in text fields alone
+            const isTyping = (e) => e.target.matches && e.target.matches('input[type="number"], input[type="text"], select, [contenteditable="true"]');
+
             document.addEventListener('keydown', e => { 
-                if (e.repeat) return;
-                handleKey(e.key.toLowerCase(), true); 
+                // Modal panels own the keyboard while open
+                if (e.repeat || isTyping(e) || document.querySelector('.panel:not(.hidden)')) return;
+                handleKey(e.key.toLowerCase(), true, e); 
             });
-            document.addEventListener('keyup', e => handleKey(e.key.toLowerCase(), false));
-            
-            document.querySelectorAll('.piano-key').forEach(btn => {
-               const note = btn.dataset.note;
-               if (!note) return;
-               
-               const start = (e) => { 
-                   if(e.cancelable) e.preventDefault(); // Safer touch
-                   this.synth.playNote(note); 
-               };
-               const end = (e) => { 
-                   if(e.cancelable) e.preventDefault();
-                   this.synth.stopNote(note); 
-               };
-               
-               btn.addEventListener('mousedown', start);
-               btn.addEventListener('touchstart', start);
-               btn.addEventListener('mouseup', end);
-               btn.addEventListener('mouseleave', end);
-               btn.addEventListener('touchend', end);
+            document.addEventListener('keyup', e => {
+                if (isTyping(e)) return;
+                handleKey(e.key.toLowerCase(), false, e);
             });
+            
+            const btnKeys = document.getElementById('btn-keys');
+            if (btnKeys) btnKeys.onclick = () => this.openPanel('keys-panel');
+            const btnTuner = document.getElementById('btn-tuner');
+            if (btnTuner) {
+                btnTuner.onclick = () => {
+                    this.openPanel('tuner-panel');
+                    this.tuner.start();
+                };
+            }
+            const btnArp = document.getElementById('btn-arp');
+            if (btnArp) btnArp.onclick = () => this.openPanel('arp-panel');
 
-            [0, 1, 2].forEach(i => {
-                 const el = document.getElementById(`slot-${i+1}`);
-                 if (el) el.addEventListener('mousedown', () => this.selectSlot(i));
-            });
+            const btnAddTrack = document.getElementById('btn-add-track');
+            if (btnAddTrack) btnAddTrack.onclick = () => this.looper.perform('add-track');
         } catch(e) {
             console.error("Binding Events Failed:", e);
         }
     },
 
     selectSlot(index) {
+        if (!this.looper.slots[index]) return;
         this.selectedSlot = index;
-        document.querySelectorAll('.loop-slot').forEach((el, i) => {
-            if (i === index) el.classList.add('selected');
-            else el.classList.remove('selected');
+        this.looper.slots.forEach((slot, i) => {
+            slot.ui.card.classList.toggle('selected', i === index);
         });
+        if (this.session) this.session.markDirty();
+    },
+
+    openPanel(id) {
+        const panel = document.getElementById(id);
+        if (panel) panel.classList.remove('hidden');
+    },
+
+    closePanel(id) {
+        const panel = document.getElementById(id);
+        if (panel) panel.classList.add('hidden');
+    },
+
+    /**
+     * Notes played from the computer keyboard or on-screen piano: to the synth
+     * and/or the selected MIDI output.
+     */
+    noteOn(note, velocity = 1) {
+        if (this.arp.noteOn(note, velocity)) return;
+        this.inputs.sendNote(note, true, velocity);
+        if (this.inputs.settings.localSynth || this.synth.mode === 'drums') this.synth.playNote(note, velocity);
+        else this.synth.highlightKey(note, true);
+    },
+
+    noteOff(note) {
+        if (this.arp.noteOff(note)) return;
+        this.inputs.sendNote(note, false);
+        if (this.inputs.settings.localSynth || this.synth.mode === 'drums') this.synth.stopNote(note);
+        else this.synth.highlightKey(note, false);
+    },
+
+    setClick(on) {
+        if (this.metronome.isPlaying !== on) this.metronome.toggle();
+        const btn = document.getElementById('btn-metronome');
+        if (!btn) return;
+        btn.classList.toggle('text-upsideDown-red', on);
+        btn.classList.toggle('animate-pulse', on);
+    },
+
+    setMasterVolume(volume) {
+        this.audio.masterGain.gain.setTargetAtTime(volume, this.audio.ctx.currentTime, 0.01);
+        const masterVol = document.getElementById('master-volume');
+        if (masterVol) masterVol.value = volume;
+        this.session.markDirty();
+    },
+
+    setSynthMode(mode) {
+        this.synth.setMode(mode);
+        const btn = document.getElementById('btn-drums');
+        if (!btn) return;
+        const isDrums = mode === 'drums';
+        if (window.lucide) {
+            btn.innerHTML = isDrums ? '<i data-lucide="music-2"></i>' : '<i data-lucide="piano"></i>';
+            window.lucide.createIcons();
+        } else {
+            btn.innerText = isDrums ? "SYNTH" : "DRUMS";
+        }
+        btn.classList.toggle('text-upsideDown-blue', isDrums);
+        if (this.session) this.session.markDirty();
+    },
+
+    /**
+     * Push engine/transport state back into the global controls (after a restore).
+     */
+    syncControls() {
+        const inputBpm = document.getElementById('input-bpm');
+        if (inputBpm) inputBpm.value = this.metronome.bpm;
+        const selectSig = document.getElementById('select-timesig');
+        if (selectSig) selectSig.value = `${this.metronome.beatsPerBar}/${this.metronome.beatUnit}`;
+        const masterVol = document.getElementById('master-volume');
+        if (masterVol) masterVol.value = this.audio.masterGain.gain.value;
+        const btnLimiter = document.getElementById('btn-limiter');
+        if (btnLimiter) {
+            btnLimiter.classList.toggle('border-upsideDown-red', this.audio.limiterOn);
+            btnLimiter.classList.toggle('border-gray-700', !this.audio.limiterOn);
+        }
     }
 };
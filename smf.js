@@ -0,0 +1,71 @@
+// --- STANDARD MIDI FILE ENCODER ---
+// Writes a track's recorded notes out as a format 1 Standard MIDI File.
+
+/**
+ * Variable-length quantity bytes for a non-negative integer.
+ */
+function smfVarLen(value) {
+    const bytes = [value & 0x7F];
+    while ((value >>= 7) > 0) bytes.unshift((value & 0x7F) | 0x80);
+    return bytes;
+}
+
+/**
+ * One MTrk chunk from absolute-tick events { tick, data: [bytes] }.
+ * Events on the same tick keep their order; end of track is appended.
+ */
+function smfTrackChunk(events) {
+    const sorted = events.map((e, i) => ({ ...e, i })).sort((a, b) => a.tick - b.tick || a.i - b.i);
+    const body = [];
+    let last = 0;
+    sorted.forEach(e => {
+        body.push(...smfVarLen(e.tick - last), ...e.data);
+        last = e.tick;
+    });
+    body.push(0, 0xFF, 0x2F, 0x00);
+    const len = body.length;
+    return [0x4D, 0x54, 0x72, 0x6B, (len >>> 24) & 0xFF, (len >>> 16) & 0xFF, (len >>> 8) & 0xFF, len & 0xFF, ...body];
+}
+
+function smfText(type, text) {
+    const bytes = Array.from(text, ch => ch.charCodeAt(0) & 0x7F);
+    return [0xFF, type, ...smfVarLen(bytes.length), ...bytes];
+}
+
+/**
+ * Encode note tracks as a format 1 Standard MIDI File.
+ * tracks: [{ name, channel (0-15), notes: [{ midi, velocity (0..1), start, length }] }]
+ * with start/length in beats. Track 0 carries tempo and time signature.
+ * Returns an ArrayBuffer.
+ */
+function encodeSmf(tracks, { ppq = 480, bpm = 120, beatsPerBar = 4, beatUnit = 4 } = {}) {
+    const tempo = Math.round(60000000 / bpm); // Microseconds per quarter note
+    const conductor = smfTrackChunk([
+        { tick: 0, data: [0xFF, 0x51, 0x03, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF] },
+        { tick: 0, data: [0xFF, 0x58, 0x04, beatsPerBar, Math.round(Math.log2(beatUnit)), 24, 8] }
+    ]);
+
+    const chunks = tracks.map(track => {
+        const channel = (track.channel || 0) & 0x0F;
+        const events = [];
+        if (track.name) events.push({ tick: 0, data: smfText(0x03, track.name) });
+        // Note-offs before note-ons on a shared tick, so repeated notes retrigger
+        const offs = [];
+        const ons = [];
+        track.notes.forEach(n => {
+            const on = Math.max(0, Math.round(n.start * ppq));
+            const off = Math.max(on + 1, Math.round((n.start + n.length) * ppq));
+            const velocity = Math.max(1, Math.min(127, Math.round(n.velocity * 127)));
+            ons.push({ tick: on, data: [0x90 | channel, n.midi & 0x7F, velocity] });
+            offs.push({ tick: off, data: [0x80 | channel, n.midi & 0x7F, 0] });
+        });
+        return smfTrackChunk([...events, ...offs, ...ons]);
+    });
+
+    const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, chunks.length + 1, (ppq >> 8) & 0xFF, ppq & 0xFF];
+    return new Uint8Array([...header, ...conductor, ...chunks.flat()]).buffer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeSmf, smfVarLen };
+}
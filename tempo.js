@@ -0,0 +1,82 @@
+// --- LOOP TEMPO ESTIMATION ---
+// Guesses a loop's tempo from its onset envelope so a free first loop can set the BPM.
+
+const TEMPO_HOP = 512; // Frames per onset-envelope step
+
+/**
+ * Onset strength per hop: how much the level rises from the previous hop.
+ * channels: array of Float32Array, mixed to mono.
+ */
+function onsetEnvelope(channels, hop = TEMPO_HOP) {
+    const length = channels.length ? channels[0].length : 0;
+    const steps = Math.floor(length / hop);
+    const onsets = new Float32Array(steps);
+    let prev = 0;
+    for (let i = 0; i < steps; i++) {
+        let sum = 0;
+        for (let j = i * hop; j < (i + 1) * hop; j++) {
+            let v = 0;
+            channels.forEach(data => { v += data[j]; });
+            v /= channels.length;
+            sum += v * v;
+        }
+        const rms = Math.sqrt(sum / hop);
+        onsets[i] = Math.max(0, rms - prev);
+        prev = rms;
+    }
+    return onsets;
+}
+
+/**
+ * Mean onset strength on an even grid of `beats` pulses around the loop,
+ * taking the strongest hop within one step of each pulse.
+ */
+function gridScore(onsets, beats) {
+    const n = onsets.length;
+    let sum = 0;
+    for (let k = 0; k < beats; k++) {
+        const center = Math.round(k * n / beats);
+        let best = 0;
+        for (let d = -1; d <= 1; d++) best = Math.max(best, onsets[((center + d) % n + n) % n]);
+        sum += best;
+    }
+    return sum / beats;
+}
+
+/**
+ * Guess the tempo of a loop that is assumed to be a whole number of bars.
+ * Every bar count giving a tempo in [minBpm, maxBpm] is scored by how well its
+ * beat grid lands on onsets, weighted towards `preferBpm` to settle
+ * half/double-time ties. Returns { bpm, beats, confidence }.
+ */
+function estimateLoopTempo(channels, sampleRate, { beatsPerBar = 4, minBpm = 70, maxBpm = 180, preferBpm = 120 } = {}) {
+    const seconds = channels.length ? channels[0].length / sampleRate : 0;
+    if (!seconds) return null;
+    const onsets = onsetEnvelope(channels);
+    const total = onsets.reduce((a, b) => a + b, 0);
+
+    const candidates = [];
+    for (let bars = 1; bars <= 256; bars++) {
+        const beats = bars * beatsPerBar;
+        const bpm = 60 * beats / seconds;
+        if (bpm > maxBpm) break;
+        if (bpm < minBpm) continue;
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / preferBpm), 2));
+        const fit = total > 0 && onsets.length > beats ? gridScore(onsets, beats) / (total / onsets.length) : 0;
+        candidates.push({ bpm, beats, fit, score: (fit || 1) * prior });
+    }
+    if (!candidates.length) {
+        // Too short or long for the range: settle for the closest bar count
+        const beats = Math.max(beatsPerBar, Math.round(seconds * preferBpm / 60 / beatsPerBar) * beatsPerBar);
+        return { bpm: 60 * beats / seconds, beats, confidence: 0 };
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    const best = candidates[0];
+    const runnerUp = candidates[1];
+    const confidence = best.fit && runnerUp ? 1 - runnerUp.score / best.score : best.fit ? 1 : 0;
+    return { bpm: best.bpm, beats: best.beats, confidence };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { estimateLoopTempo, onsetEnvelope, gridScore, TEMPO_HOP };
+}
@@ -0,0 +1,63 @@
+// --- WAV ENCODER ---
+// Packs float channels into a PCM or float .wav for exports and saved sessions.
+
+/**
+ * Encode planar PCM into a RIFF/WAVE file.
+ * channels: array of Float32Array (one per channel, equal length)
+ * bitDepth: 16 or 24 (integer PCM), or 32 (IEEE float)
+ * Returns an ArrayBuffer.
+ */
+function encodeWav(channels, sampleRate, bitDepth = 16) {
+    if (![16, 24, 32].includes(bitDepth)) throw new Error(`Unsupported bit depth: ${bitDepth}`);
+    const numChannels = channels.length;
+    const frames = numChannels ? channels[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = frames * blockAlign;
+    const isFloat = bitDepth === 32;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, isFloat ? 3 : 1, true); // 1 = PCM, 3 = IEEE float
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < numChannels; c++) {
+            const sample = channels[c][i];
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+            } else if (bitDepth === 24) {
+                const s = Math.max(-1, Math.min(1, sample));
+                const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+                view.setUint8(offset, v & 0xFF);
+                view.setUint8(offset + 1, (v >> 8) & 0xFF);
+                view.setUint8(offset + 2, (v >> 16) & 0xFF);
+            } else {
+                const s = Math.max(-1, Math.min(1, sample));
+                view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return buffer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeWav };
+}